@@ -10,33 +10,212 @@ geotab.addin.ruckitAssets = function () {
     let elAddin;
     let assetsData = [];
     let filteredData = [];
-    let currentSubdomain = '';
-    let searchTerm = '';
+    let currentDatabase = '';
+    let currentServer = '';
     let allDevicesData = [];
     let filteredAllDevices = [];
     let searchTermAll = '';
     let searchTermRuckit = '';
-    let editingDeviceId = null;
+    let importPreviewRows = [];
+    let rosterSuggestions = [];
+    let transferSource = null;
+    let transferTargetOptions = new Map();
+    let activeDevicesData = [];
+    let activeMappingsData = [];
+    let groupsData = [];
+    let groupsById = new Map();
+    let groupFilterIds = [];
+    let currentUserName = '';
+    let pendingConflicts = {};
+    let loadedDevicesData = [];
+    let devicesLoadFailed = false;
+    let ruckitMappingsData = [];
+    let cleanupCandidates = [];
+    let healthIssues = [];
+    let settingsRecord = null;
+    let settings = {};
+    let verificationResults = {};
+    let formTestResults = {};
+    let geotabDrivers = null;
+    let driverMappingRecords = [];
+    let currentDeviceDrivers = {};
+    let currentUser = null;
+    let mappingsByDeviceId = new Map();
+    let devicesById = new Map();
+    let sortState = { all: 'name-asc', ruckit: 'name-asc' };
+    let pageState = { all: 1, ruckit: 1 };
+    let searchDebounceTimers = {};
+    let currentLocale = 'en';
+    let listenersController = null;
+    let expandedDeviceIds = new Set();
+    let openHistoryDeviceIds = new Set();
+    let openCredentialForms = {};
+    let currentLanguageTag = 'en';
+    let selectedDeviceIds = { all: new Set(), ruckit: new Set() };
+    let bulkActionRunning = false;
+    let loadingAssets = false;
+    let loadGeneration = 0;
+    let feedVersions = { Device: null, AddInData: null };
+    let liveUpdateTimer = null;
+    let liveUpdateGeneration = 0;
+    let liveRefreshPending = false;
+
+    const ADDIN_ID = 'aTMyNTA4NjktMzIxOC02YTQ';
+    const MULTICALL_CHUNK_SIZE = 100;
+    const PAGE_SIZE = 1000;
+    const DEFAULT_SETTINGS = {
+        ruckitBaseUrl: 'https://api.goruckit.com/api',
+        revealClearanceIds: ['GroupEverythingSecurityId', 'GroupSupervisorSecurityId'],
+        allowSharedTokens: false,
+        validationRules: {
+            token: { charset: 'no-whitespace' },
+            device: { charset: 'no-whitespace' },
+            driver: { charset: 'no-whitespace' }
+        }
+    };
+    // Administrator clearance, fixed here so it can't be widened through settings
+    const ADMIN_CLEARANCE_IDS = ['GroupEverythingSecurityId'];
+    // Hosts the Ruckit base URL may point at; local hosts are for a mock server
+    const RUCKIT_ALLOWED_HOSTS = ['api.goruckit.com'];
+    const RUCKIT_LOCAL_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+    const VALIDATION_CHARSETS = {
+        'any': { labelKey: 'charset.any', pattern: null },
+        'no-whitespace': { labelKey: 'charset.noWhitespace', pattern: /^\S*$/ },
+        'alphanumeric': { labelKey: 'charset.alphanumeric', pattern: /^[A-Za-z0-9]*$/ },
+        'numeric': { labelKey: 'charset.numeric', pattern: /^[0-9]*$/ },
+        'hex': { labelKey: 'charset.hex', pattern: /^[A-Fa-f0-9]*$/ }
+    };
+    const VERIFY_TIMEOUT_MS = 10000;
+    const VERIFY_CONCURRENCY = 4;
+    const LIVE_UPDATE_INTERVAL_MS = 15000;
+    const LIVE_HIGHLIGHT_MS = 3000;
+    const FEED_RESULTS_LIMIT = 5000;
+    // Feed searches run server-side; the AddInData feed only carries this add-in's credential records
+    const FEED_SEARCHES = {
+        Device: null,
+        AddInData: { addInId: ADDIN_ID, whereClause: 'type = "ri-device"' }
+    };
+    const COVERAGE_RECENT_DAYS = 7;
+    const AUDIT_HISTORY_LIMIT = 50;
+    const TOKEN_MASK_CHAR = '\u2022';
+    const TABLE_PAGE_SIZE = 50;
+    const SEARCH_DEBOUNCE_MS = 150;
+    const SORT_KEYS = ['name-asc', 'name-desc', 'serial-asc', 'serial-desc', 'updated-desc', 'updated-asc'];
+    const FORM_INPUT_PREFIXES = ['token', 'device', 'gt-driver', 'driver'];
+    const ROSTER_COLUMN_ALIASES = {
+        device: ['ruckit device', 'ruckit device id', 'ri device', 'device id', 'truck id', 'device', 'id'],
+        vin: ['vin', 'vehicle identification number'],
+        plate: ['plate', 'license plate', 'licence plate', 'registration'],
+        serial: ['serial', 'serial number', 'sn', 'gt sn'],
+        token: ['token', 'ri token'],
+        driver: ['driver', 'driver id', 'ri driver'],
+        name: ['name', 'truck name', 'truck', 'unit']
+    };
+    const ROSTER_MIN_NAME_SIMILARITY = 0.6;
+    const BULK_ELEMENT_IDS = {
+        all: { bar: 'bulkBarAll', count: 'bulkCountAll', selectAll: 'selectAllAll', progress: 'bulkProgressAll', token: 'bulkTokenAll', body: 'allAssetsTableBody' },
+        ruckit: { bar: 'bulkBarRuckit', count: 'bulkCountRuckit', selectAll: 'selectAllRuckit', progress: 'bulkProgressRuckit', token: 'bulkTokenRuckit', body: 'ruckitAssetsTableBody' }
+    };
+    const nameCollator = new Intl.Collator(undefined, { numeric: true, sensitivity: 'base' });
 
     /**
-     * Extract subdomain from current URL
+     * Pick the message catalog from the MyGeotab user language, falling back to the browser language
      */
-    function extractSubdomain() {
-        try {
-            const url = window.location.href;
-            // Extract subdomain from URL like "https://my.geotab.com/traxxisdemo/#..."
-            const match = url.match(/https?:\/\/my\.geotab\.com\/([^\/\#]+)/);
-            if (match && match[1]) {
-                currentSubdomain = match[1];
-                console.log('Extracted subdomain:', currentSubdomain);
-            } else {
-                console.warn('Could not extract subdomain from URL:', url);
-                currentSubdomain = '';
+    function applyLocale() {
+        const candidates = [
+            state && state.language,
+            currentUser && currentUser.language,
+            navigator.language,
+            'en'
+        ];
+        
+        for (const candidate of candidates) {
+            if (!candidate) continue;
+            const language = String(candidate).toLowerCase().split(/[-_]/)[0];
+            if (MESSAGES[language]) {
+                currentLocale = language;
+                currentLanguageTag = String(candidate).replace('_', '-');
+                break;
             }
-        } catch (error) {
-            console.error('Error extracting subdomain:', error);
-            currentSubdomain = '';
         }
+        
+        if (elAddin) {
+            translateStaticText(elAddin);
+        }
+    }
+
+    /**
+     * Look up a message in the current catalog and fill in {placeholders}.
+     * Plural messages are objects keyed by Intl.PluralRules category and use params.count.
+     */
+    function t(key, params = {}) {
+        const catalog = MESSAGES[currentLocale] || MESSAGES.en;
+        let message = catalog[key] !== undefined ? catalog[key] : MESSAGES.en[key];
+        
+        if (message === undefined) {
+            console.warn('Missing message:', key);
+            return key;
+        }
+        
+        if (typeof message === 'object') {
+            const category = new Intl.PluralRules(currentLanguageTag).select(params.count || 0);
+            message = message[category] || message.other;
+        }
+        
+        return message.replace(/\{(\w+)\}/g, (match, name) => {
+            const value = params[name];
+            if (value === undefined || value === null) return match;
+            return typeof value === 'number' ? value.toLocaleString(currentLanguageTag) : String(value);
+        });
+    }
+
+    /**
+     * Format a date for display in the current locale
+     */
+    function formatDate(value, includeTime = false) {
+        const date = value instanceof Date ? value : new Date(value);
+        if (isNaN(date.getTime())) return '';
+        
+        const options = includeTime ? { dateStyle: 'medium', timeStyle: 'short' } : { dateStyle: 'medium' };
+        return new Intl.DateTimeFormat(currentLanguageTag, options).format(date);
+    }
+
+    /**
+     * Translate static markup marked with data-i18n, data-i18n-placeholder and data-i18n-title
+     */
+    function translateStaticText(root) {
+        root.querySelectorAll('[data-i18n]').forEach(element => {
+            element.textContent = t(element.dataset.i18n);
+        });
+        root.querySelectorAll('[data-i18n-placeholder]').forEach(element => {
+            element.placeholder = t(element.dataset.i18nPlaceholder);
+        });
+        root.querySelectorAll('[data-i18n-title]').forEach(element => {
+            element.title = t(element.dataset.i18nTitle);
+        });
+    }
+
+    /**
+     * Read the database, server and user name from the API session rather than the page URL,
+     * so federated servers, reseller domains and MyGeotab Drive are all supported
+     */
+    function loadSessionInfo() {
+        return new Promise(resolve => {
+            if (!api || typeof api.getSession !== 'function') {
+                resolve();
+                return;
+            }
+            
+            api.getSession((session, server) => {
+                currentDatabase = (session && session.database) || '';
+                currentServer = server || (session && session.server) || '';
+                if (session && session.userName) {
+                    currentUserName = session.userName;
+                }
+                console.log('Session database:', currentDatabase, 'server:', currentServer);
+                resolve();
+            });
+        });
     }
 
     /**
@@ -56,69 +235,114 @@ geotab.addin.ruckitAssets = function () {
         });
     }
 
+    const SEARCH_FIELDS = ['name', 'sn', 'ruckit', 'driver', 'group', 'type', 'changed', 'added'];
+
     /**
-     * Filter data based on search term
+     * Parse a search query into criteria. Plain words match the asset name;
+     * "field:value" (value optionally quoted) matches a specific field.
      */
-    function filterDataBySearch(data, searchTerm) {
-        if (!searchTerm.trim()) {
-            return data;
+    function parseSearchQuery(query) {
+        const criteria = [];
+        const pattern = /(\w+):(?:"([^"]*)"|(\S*))|"([^"]*)"|(\S+)/g;
+        let match;
+        
+        while ((match = pattern.exec(query)) !== null) {
+            const [whole, field, quotedValue, value, quotedTerm, term] = match;
+            const fieldName = field ? field.toLowerCase() : null;
+            
+            if (fieldName && SEARCH_FIELDS.includes(fieldName)) {
+                const fieldValue = (quotedValue !== undefined ? quotedValue : value).trim().toLowerCase();
+                if (fieldValue) {
+                    criteria.push({ field: fieldName, value: fieldValue });
+                }
+            } else {
+                const nameValue = (quotedTerm !== undefined ? quotedTerm : (term || whole)).trim().toLowerCase();
+                if (nameValue) {
+                    criteria.push({ field: 'name', value: nameValue });
+                }
+            }
         }
         
-        const term = searchTerm.toLowerCase().trim();
-        return data.filter(item => {
-            const details = item.details || {};
-            const assetName = (details.name || '').toLowerCase();
-            return assetName.includes(term);
-        });
+        return criteria;
     }
 
     /**
-     * Setup search functionality
+     * Build the searchable fields for a device and its mapping
      */
-    function setupSearch() {
-        const searchInput = document.getElementById('searchInput');
-        const searchClear = document.getElementById('searchClear');
+    function buildSearchRecord(device, mapping) {
+        const details = (mapping && mapping.details) || {};
+        const hasCredentials = mapping && filterPlaceholderEntries([mapping]).length > 0;
         
-        if (!searchInput || !searchClear) return;
-        
-        // Handle search input
-        searchInput.addEventListener('input', function(e) {
-            searchTerm = e.target.value;
-            applyFilters();
-            
-            // Show/hide clear button
-            if (searchTerm.trim()) {
-                searchClear.classList.add('show');
-            } else {
-                searchClear.classList.remove('show');
+        return {
+            name: ((device && device.name) || details.name || '').toLowerCase(),
+            sn: ((device && device.serialNumber) || details['gt-sn'] || '').toLowerCase(),
+            ruckit: hasCredentials ? (details['ri-device'] || '').toLowerCase() : '',
+            driver: hasCredentials ? (details['ri-driver'] || '').toLowerCase() : '',
+            group: ((device && device.groups) || []).map(group => getGroupName(group.id).toLowerCase()),
+            type: ((device && device.deviceType) || '').toLowerCase(),
+            date: details.date ? new Date(details.date) : null,
+            added: device && device.activeFrom ? new Date(device.activeFrom) : null
+        };
+    }
+
+    /**
+     * Check a search record against all criteria (AND)
+     */
+    function matchesSearchCriteria(record, criteria) {
+        return criteria.every(({ field, value }) => {
+            if (field === 'group') {
+                return record.group.some(groupName => groupName.includes(value));
             }
+            if (field === 'changed' || field === 'added') {
+                const days = parseFloat(value);
+                const date = field === 'changed' ? record.date : record.added;
+                if (isNaN(days) || !date) return false;
+                return Date.now() - date.getTime() <= days * 24 * 60 * 60 * 1000;
+            }
+            return record[field].includes(value);
         });
+    }
+
+    /**
+     * Filter data based on search term
+     */
+    function filterDataBySearch(data, searchTerm) {
+        const criteria = parseSearchQuery(searchTerm);
+        if (criteria.length === 0) {
+            return data;
+        }
         
-        // Handle clear button
-        searchClear.addEventListener('click', function() {
-            searchInput.value = '';
-            searchTerm = '';
-            searchClear.classList.remove('show');
-            applyFilters();
-            searchInput.focus();
-        });
-        
-        // Handle Enter key
-        searchInput.addEventListener('keydown', function(e) {
-            if (e.key === 'Enter') {
-                e.preventDefault();
-            }
+        return data.filter(item => {
+            const device = devicesById.get(item.details?.['gt-device']);
+            return matchesSearchCriteria(buildSearchRecord(device, item), criteria);
         });
     }
 
     /**
-     * Generate View Asset URL
+     * Build a link to a device page, for hosts that can't navigate in-app
      */
-    function generateViewAssetUrl(gtDevice) {
-        if (!currentSubdomain || !gtDevice) {
-            return '#';
+    function getAssetUrl(deviceId) {
+        if (!currentServer || !currentDatabase || !deviceId) {
+            return '';
+        }
+        return `https://${currentServer}/${encodeURIComponent(currentDatabase)}/#device,id:${encodeURIComponent(deviceId)}`;
+    }
+
+    /**
+     * Open a device page in MyGeotab
+     */
+    function viewAsset(deviceId) {
+        if (state && typeof state.gotoPage === 'function') {
+            state.gotoPage('device', { id: deviceId });
+            return;
+        }
+        
+        const url = getAssetUrl(deviceId);
+        if (url) {
+            window.open(url, '_blank', 'noopener');
+        } else {
+            showAlert(t('table.viewAssetUnavailable'), 'warning');
         }
-        return `https://my.geotab.com/${currentSubdomain}/#device,id:${gtDevice}`;
     }
 
     /**
@@ -135,6 +359,75 @@ geotab.addin.ruckitAssets = function () {
         });
     }
 
+    /**
+     * Make a batch of Geotab API calls through api.multiCall, in chunks.
+     * Each call is [method, typeName, parameters]. Resolves with one
+     * { success, result, error } entry per call, in the same order.
+     */
+    async function makeGeotabMultiCall(calls, chunkSize = MULTICALL_CHUNK_SIZE) {
+        const results = [];
+        
+        for (let start = 0; start < calls.length; start += chunkSize) {
+            const chunk = calls.slice(start, start + chunkSize);
+            const requests = chunk.map(([method, typeName, parameters = {}]) => [
+                method,
+                { typeName: typeName, ...parameters }
+            ]);
+            
+            try {
+                const chunkResults = await new Promise((resolve, reject) => {
+                    api.multiCall(requests, resolve, reject);
+                });
+                chunk.forEach((call, index) => {
+                    results.push({ success: true, result: chunkResults ? chunkResults[index] : null, error: null });
+                });
+            } catch (error) {
+                // multiCall fails the whole chunk if one call fails; retry individually to find which
+                console.warn(`Batch of ${chunk.length} call(s) failed, retrying individually:`, error);
+                for (const [method, typeName, parameters] of chunk) {
+                    try {
+                        const result = await makeGeotabCall(method, typeName, parameters);
+                        results.push({ success: true, result: result, error: null });
+                    } catch (itemError) {
+                        results.push({ success: false, result: null, error: itemError });
+                    }
+                }
+            }
+        }
+        
+        return results;
+    }
+
+    /**
+     * Get all entities of a type, one page at a time
+     */
+    async function getAllPaged(typeName, search, pageSize = PAGE_SIZE) {
+        const entities = [];
+        let lastId = null;
+        
+        while (true) {
+            const parameters = {
+                resultsLimit: pageSize,
+                sort: { sortBy: 'id', sortDirection: 'asc' }
+            };
+            if (search) {
+                parameters.search = search;
+            }
+            if (lastId) {
+                parameters.sort.offset = lastId;
+                parameters.sort.lastId = lastId;
+            }
+            
+            const page = await makeGeotabCall("Get", typeName, parameters) || [];
+            entities.push(...page);
+            
+            if (page.length < pageSize) break;
+            lastId = page[page.length - 1].id;
+        }
+        
+        return entities;
+    }
+
     /**
      * Get AddInData entries for Ruckit mappings
      */
@@ -144,8 +437,7 @@ geotab.addin.ruckitAssets = function () {
                 whereClause: 'type = "ri-device"'
             };
             
-            const data = await makeGeotabCall("Get", "AddInData", { search: searchParams });
-            return data || [];
+            return await getAllPaged("AddInData", searchParams);
         } catch (error) {
             console.error('Error fetching Ruckit mappings:', error);
             return [];
@@ -157,74 +449,105 @@ geotab.addin.ruckitAssets = function () {
      */
     async function loadRuckitAssets() {
         if (!api) {
-            showAlert('Geotab API not initialized. Please refresh the page.', 'danger');
+            showAlert(t('load.apiNotInitialized'), 'danger');
             return;
         }
         
+        loadingAssets = true;
+        loadGeneration++;
         try {
-            showAlert('Loading assets...', 'info');
+            console.log('Loading assets...');
             
-            // Load all devices
-            const allDevices = await getAllDevices();
+            // Start the feeds before reading, so changes made during the load still come through them
+            await primeFeedVersions();
             
-            // Filter out retired devices
-            allDevicesData = filterRetiredDevices(allDevices);
+            // Load devices, groups and Ruckit mappings in parallel
+            const [allDevices, groups, ruckitData] = await Promise.all([
+                getAllDevices(),
+                getGroups(),
+                getRuckitMappings(),
+                loadSettings(),
+                getCurrentUser().catch(error => console.error('Error loading current user:', error))
+            ]);
+            groupsData = groups;
+            groupsById = new Map(groups.map(group => [group.id, group]));
             
-            // Load Ruckit mappings
-            const ruckitData = await getRuckitMappings();
-            
-            // Sync device names between Geotab and AddInData
-            const updatedCount = await syncDeviceNames(allDevicesData, ruckitData);
+            // The user's MyGeotab language and clearance are only known once the user has loaded
+            applyLocale();
+            await renderAdminControls();
             
-            // Reload mappings if names were updated
-            if (updatedCount > 0) {
-                assetsData = await getRuckitMappings();
-            } else {
-                assetsData = ruckitData;
-            }
+            // Driver assignments may have changed since the last load
+            geotabDrivers = null;
+            currentDeviceDrivers = {};
             
-            // Filter out mappings for retired devices
-            assetsData = assetsData.filter(mapping => {
-                const deviceId = mapping.details?.['gt-device'];
-                if (!deviceId) return false;
-                
-                // Check if device still exists in active devices
-                return allDevicesData.some(device => device.id === deviceId);
-            });
+            // Scope the device list to the MyGeotab global group filter
+            groupFilterIds = getGroupFilterIds();
             
-            // Reset search terms
-            searchTermAll = '';
-            searchTermRuckit = '';
+            // Sync device names between Geotab and AddInData
+            const updatedCount = await syncDeviceNames(filterRetiredDevices(allDevices), ruckitData);
             
-            const searchInputAll = document.getElementById('searchInputAll');
-            const searchInputRuckit = document.getElementById('searchInputRuckit');
+            // Reload mappings if names were updated
+            const mappings = updatedCount > 0 ? await getRuckitMappings() : ruckitData;
+            applyLoadedData(allDevices, mappings);
             
-            if (searchInputAll) searchInputAll.value = '';
-            if (searchInputRuckit) searchInputRuckit.value = '';
+            renderGroupFilterIndicator();
+            renderCoverageDashboard();
             
-            // Apply filters and render
+            // Apply filters and render, keeping the current search, sort and page
             applyAllDevicesFilters();
             applyFilters();
+            liveRefreshPending = false;
             
             const validAssets = filterPlaceholderEntries(assetsData);
-            const retiredCount = allDevices.length - allDevicesData.length;
+            const retiredCount = allDevices.length - activeDevicesData.length;
             
-            let message = `Loaded ${allDevicesData.length} active assets, ${validAssets.length} with Ruckit credentials`;
+            let message = t('load.loaded', { count: allDevicesData.length, withCredentials: validAssets.length });
+            if (groupFilterIds.length > 0) {
+                message += ' ' + t('load.inSelectedGroups');
+            }
             if (retiredCount > 0) {
-                message += ` (${retiredCount} retired assets hidden)`;
+                message += ' ' + t('load.retiredHidden', { count: retiredCount });
             }
             if (updatedCount > 0) {
-                message += ` (${updatedCount} name(s) updated)`;
+                message += ' ' + t('load.namesUpdated', { count: updatedCount });
             }
             
             showAlert(message, 'success');
             
         } catch (error) {
             console.error('Error loading assets:', error);
-            showAlert('Error loading assets: ' + error.message, 'danger');
+            showAlert(t('load.error', { error: error.message }), 'danger');
+        } finally {
+            loadingAssets = false;
         }
     }
 
+    /**
+     * Derive the active, group-scoped and mapped lists from every loaded device and mapping
+     */
+    function applyLoadedData(allDevices, mappings) {
+        loadedDevicesData = allDevices;
+        ruckitMappingsData = mappings;
+        
+        // Filter out retired devices
+        activeDevicesData = filterRetiredDevices(allDevices);
+        allDevicesData = filterDevicesByGroupScope(activeDevicesData);
+        
+        // Filter out mappings for retired devices. Duplicate checks use every active
+        // mapping so credentials held by trucks outside the group filter still count.
+        const activeDeviceIds = new Set(activeDevicesData.map(device => device.id));
+        activeMappingsData = mappings.filter(mapping => {
+            const deviceId = mapping.details?.['gt-device'];
+            return deviceId && activeDeviceIds.has(deviceId);
+        });
+        
+        // Only show mappings for devices in the current group scope
+        const scopedDeviceIds = new Set(allDevicesData.map(device => device.id));
+        assetsData = activeMappingsData.filter(mapping => scopedDeviceIds.has(mapping.details['gt-device']));
+        buildLookupIndexes();
+        pruneSelection();
+    }
+
     /**
      * Sync device names in AddInData with current Geotab device names
      */
@@ -257,18 +580,37 @@ geotab.addin.ruckitAssets = function () {
         }
         
         // Batch update all changed names
-        if (updates.length > 0) {
-            try {
-                for (const update of updates) {
-                    await makeGeotabCall("Set", "AddInData", { entity: update });
-                }
-                console.log(`Updated ${updates.length} device name(s)`);
-            } catch (error) {
-                console.error('Error updating device names:', error);
+        if (updates.length === 0) {
+            return 0;
+        }
+        
+        const results = await makeGeotabMultiCall(updates.map(update => ["Set", "AddInData", { entity: update }]));
+        const auditEntries = [];
+        results.forEach((result, index) => {
+            if (!result.success) {
+                console.error(`Error updating device name for "${updates[index].details.name}":`, result.error);
+                return;
             }
+            
+            const original = mappings.find(mapping => mapping.id === updates[index].id);
+            auditEntries.push({
+                action: 'rename',
+                deviceId: updates[index].details['gt-device'],
+                before: original ? original.details : null,
+                after: updates[index].details,
+                note: 'Automatic rename to match the Geotab asset name'
+            });
+        });
+        await writeAuditRecords(auditEntries);
+        
+        const failedCount = results.filter(result => !result.success).length;
+        const updatedCount = results.length - failedCount;
+        console.log(`Updated ${updatedCount} device name(s)`);
+        if (failedCount > 0) {
+            showAlert(t('load.renameFailed', { count: failedCount }), 'warning');
         }
         
-        return updates.length;
+        return updatedCount;
     }
 
     /**
@@ -291,24 +633,20 @@ geotab.addin.ruckitAssets = function () {
         const tableBody = document.getElementById('allAssetsTableBody');
         if (!tableBody) return;
         
-        // Filter to only show devices without credentials
-        const devicesWithoutCreds = data.filter(device => {
-            const existingMapping = findExistingMappingForDevice(device.id);
-            const hasValidCredentials = existingMapping && 
-                                    existingMapping.details['ri-token'] !== 'TOKEN' &&
-                                    existingMapping.details['ri-device'] !== 'DeviceID' &&
-                                    existingMapping.details['ri-driver'] !== 'DriverID';
-            return !hasValidCredentials;
-        });
+        captureFormValues(tableBody);
+        
+        if (data.length === 0) {
+            renderPagination('all', 0);
+        }
         
-        if (devicesWithoutCreds.length === 0) {
+        if (data.length === 0 && searchTermAll.trim()) {
             tableBody.innerHTML = `
                 <tr>
-                    <td colspan="2">
-                        <div class="empty-state">
-                            <i class="fas fa-check-circle"></i>
-                            <h5>All Assets Have Credentials</h5>
-                            <p>All assets have been configured with Ruckit credentials.</p>
+                    <td colspan="3">
+                        <div class="no-search-results">
+                            <i class="fas fa-search"></i>
+                            <h5>${t('table.noResultsTitle')}</h5>
+                            <p>${t('table.noResultsText')}</p>
                         </div>
                     </td>
                 </tr>
@@ -316,28 +654,52 @@ geotab.addin.ruckitAssets = function () {
             return;
         }
         
-        const tableRows = devicesWithoutCreds.map(device => {
-            const deviceId = device.id;
-            const deviceName = device.name || 'N/A';
-            const deviceIdEscaped = escapeHtml(deviceId).replace(/'/g, "\\'");
-            const deviceNameEscaped = escapeHtml(deviceName).replace(/'/g, "\\'");
-            
-            return `
-                <tr data-device-id="${deviceId}">
-                    <td>
-                        <i class="fas fa-truck me-2 text-primary"></i>
-                        ${escapeHtml(deviceName)}
-                    </td>
-                    <td>
-                        <button class="btn-add-credentials" onclick="window.showCredentialForm('${deviceIdEscaped}', '${deviceNameEscaped}', null)">
-                            <i class="fas fa-plus me-1"></i>Add Credentials
-                        </button>
+        if (data.length === 0) {
+            tableBody.innerHTML = `
+                <tr>
+                    <td colspan="3">
+                        <div class="empty-state">
+                            <i class="fas fa-check-circle"></i>
+                            <h5>${t('table.allConfiguredTitle')}</h5>
+                            <p>${t('table.allConfiguredText')}</p>
+                        </div>
                     </td>
                 </tr>
             `;
-        }).join('');
+            return;
+        }
+        
+        // Only build rows for the visible page
+        const pageRows = getPageSlice(data, 'all');
+        renderPagination('all', data.length);
+        
+        tableBody.innerHTML = pageRows.map(renderAllDevicesRow).join('');
+        restoreOpenRows(tableBody);
+    }
+
+    /**
+     * Render one row of the all devices table
+     */
+    function renderAllDevicesRow(device) {
+        const deviceId = device.id;
+        const deviceName = device.name || t('common.notAvailable');
+        const deviceIdEscaped = escapeHtml(deviceId);
         
-        tableBody.innerHTML = tableRows;
+        return `
+            <tr data-device-id="${deviceIdEscaped}">
+                ${renderSelectCell('all', deviceId, deviceName)}
+                <td>
+                    <i class="fas fa-truck me-2 text-primary"></i>
+                    ${escapeHtml(deviceName)}
+                    ${renderAssetMeta(device, null)}
+                </td>
+                <td>
+                    <button class="btn-add-credentials" data-action="show-form" data-device-id="${deviceIdEscaped}">
+                        <i class="fas fa-plus me-1"></i>${t('table.addCredentials')}
+                    </button>
+                </td>
+            </tr>
+        `;
     }
 
     /**
@@ -347,15 +709,18 @@ geotab.addin.ruckitAssets = function () {
         const tableBody = document.getElementById('ruckitAssetsTableBody');
         if (!tableBody) return;
         
+        captureFormValues(tableBody);
+        
         if (!data || data.length === 0) {
+            renderPagination('ruckit', 0);
             if (searchTermRuckit.trim()) {
                 tableBody.innerHTML = `
                     <tr>
-                        <td colspan="2">
+                        <td colspan="4">
                             <div class="no-search-results">
                                 <i class="fas fa-search"></i>
-                                <h5>No Results Found</h5>
-                                <p>No assets match your search criteria.</p>
+                                <h5>${t('table.noResultsTitle')}</h5>
+                                <p>${t('table.noResultsText')}</p>
                             </div>
                         </td>
                     </tr>
@@ -363,11 +728,11 @@ geotab.addin.ruckitAssets = function () {
             } else {
                 tableBody.innerHTML = `
                     <tr>
-                        <td colspan="2">
+                        <td colspan="4">
                             <div class="empty-state">
                                 <i class="fas fa-inbox"></i>
-                                <h5>No Ruckit Assets Found</h5>
-                                <p>No assets with Ruckit credentials yet.</p>
+                                <h5>${t('table.noRuckitTitle')}</h5>
+                                <p>${t('table.noRuckitText')}</p>
                             </div>
                         </td>
                     </tr>
@@ -376,61 +741,143 @@ geotab.addin.ruckitAssets = function () {
             return;
         }
         
-        const tableRows = data.map(item => {
-            const details = item.details || {};
-            const assetName = details.name || 'N/A';
-            const ruckitDevice = details['ri-device'] || 'N/A';
-            const ruckitDriver = details['ri-driver'] || 'N/A';
-            const ruckitToken = details['ri-token'] || 'N/A';
-            const gtDevice = details['gt-device'] || '';
-            
-            const viewAssetUrl = generateViewAssetUrl(gtDevice);
-            const itemJson = JSON.stringify(item).replace(/"/g, '&quot;');
-            const gtDeviceEscaped = escapeHtml(gtDevice).replace(/'/g, "\\'");
-            const assetNameEscaped = escapeHtml(assetName).replace(/'/g, "\\'");
-            
-            return `
-                <tr data-device-id="${gtDevice}">
-                    <td>
-                        <i class="fas fa-truck me-2 text-primary"></i>
-                        ${escapeHtml(assetName)}
-                    </td>
-                    <td>
-                        <div class="action-buttons">
-                            <button class="btn-show-credentials" onclick="window.toggleCredentials('${gtDeviceEscaped}')">
-                                <i class="fas fa-eye me-1"></i>Show Credentials
-                            </button>
-                            <button class="btn-edit-credentials" onclick="window.showCredentialForm('${gtDeviceEscaped}', '${assetNameEscaped}', ${itemJson})">
-                                <i class="fas fa-edit me-1"></i>Edit
-                            </button>
-                            ${gtDevice ? `<a href="${viewAssetUrl}" class="btn-view-asset" target="_blank">
-                                <i class="fas fa-external-link-alt me-1"></i>View Asset
-                            </a>` : ''}
+        // Only build rows for the visible page
+        const pageRows = getPageSlice(data, 'ruckit');
+        renderPagination('ruckit', data.length);
+        
+        tableBody.innerHTML = pageRows.map(renderAssetRows).join('');
+        restoreOpenRows(tableBody);
+    }
+
+    /**
+     * Render the row of a Ruckit asset and its hidden credentials row
+     */
+    function renderAssetRows(item) {
+        const details = item.details || {};
+        const gtDevice = details['gt-device'] || '';
+        const device = devicesById.get(gtDevice);
+        const assetName = (device && device.name) || details.name || t('common.notAvailable');
+        const ruckitDevice = details['ri-device'] || t('common.notAvailable');
+        const ruckitDriver = details['ri-driver'] || t('common.notAvailable');
+        const maskedToken = details['ri-token'] ? maskToken(details['ri-token']) : t('common.notAvailable');
+        const expanded = expandedDeviceIds.has(gtDevice);
+
+        const gtDeviceEscaped = escapeHtml(gtDevice);
+        
+        return `
+            <tr data-device-id="${gtDeviceEscaped}">
+                ${renderSelectCell('ruckit', gtDevice, assetName)}
+                <td>
+                    <i class="fas fa-truck me-2 text-primary"></i>
+                    ${escapeHtml(assetName)}
+                    ${renderAssetMeta(device, item)}
+                </td>
+                <td class="verification-cell">
+                    ${renderVerificationStatus(gtDevice)}
+                </td>
+                <td>
+                    <div class="action-buttons">
+                        <button class="btn-show-credentials" data-action="toggle-credentials" data-device-id="${gtDeviceEscaped}">
+                            ${expanded
+                                ? `<i class="fas fa-eye-slash me-1"></i>${t('table.hideCredentials')}`
+                                : `<i class="fas fa-eye me-1"></i>${t('table.showCredentials')}`}
+                        </button>
+                        <button class="btn-edit-credentials" data-action="show-form" data-device-id="${gtDeviceEscaped}">
+                            <i class="fas fa-edit me-1"></i>${t('table.edit')}
+                        </button>
+                        <button class="btn-history" data-action="toggle-history" data-device-id="${gtDeviceEscaped}">
+                            <i class="fas fa-history me-1"></i>${t('table.history')}
+                        </button>
+                        <button class="btn-transfer" data-action="show-transfer" data-device-id="${gtDeviceEscaped}">
+                            <i class="fas fa-exchange-alt me-1"></i>${t('transfer.button')}
+                        </button>
+                        ${gtDevice ? `<button class="btn-view-asset" data-action="view-asset" data-device-id="${gtDeviceEscaped}">
+                            <i class="fas fa-external-link-alt me-1"></i>${t('table.viewAsset')}
+                        </button>` : ''}
+                    </div>
+                </td>
+            </tr>
+            <tr id="credentials-row-${gtDeviceEscaped}" style="display: ${expanded ? 'table-row' : 'none'};">
+                <td colspan="4">
+                    <div class="credential-details">
+                        <div class="credential-details-row">
+                            <span class="credential-details-label">${t('field.token')}:</span>
+                            <span class="credential-token">
+                                <span class="credential-details-value" id="token-value-${gtDeviceEscaped}">${escapeHtml(maskedToken)}</span>
+                                <button class="btn-token-action" id="token-reveal-${gtDeviceEscaped}" data-action="reveal-token" data-device-id="${gtDeviceEscaped}" title="${t('token.reveal')}">
+                                    <i class="fas fa-eye"></i>
+                                </button>
+                                <button class="btn-token-action" data-action="copy-token" data-device-id="${gtDeviceEscaped}" title="${t('token.copy')}">
+                                    <i class="fas fa-copy"></i>
+                                </button>
+                            </span>
                         </div>
-                    </td>
-                </tr>
-                <tr id="credentials-row-${gtDevice}" style="display: none;">
-                    <td colspan="2">
-                        <div class="credential-details">
-                            <div class="credential-details-row">
-                                <span class="credential-details-label">Ruckit Token:</span>
-                                <span class="credential-details-value">${escapeHtml(ruckitToken)}</span>
-                            </div>
-                            <div class="credential-details-row">
-                                <span class="credential-details-label">Ruckit Device ID:</span>
-                                <span class="credential-details-value">${escapeHtml(ruckitDevice)}</span>
-                            </div>
-                            <div class="credential-details-row">
-                                <span class="credential-details-label">Ruckit Driver ID:</span>
-                                <span class="credential-details-value">${escapeHtml(ruckitDriver)}</span>
-                            </div>
+                        <div class="credential-details-row">
+                            <span class="credential-details-label">${t('field.device')}:</span>
+                            <span class="credential-details-value">${escapeHtml(ruckitDevice)}</span>
                         </div>
-                    </td>
-                </tr>
-            `;
-        }).join('');
-        
-        tableBody.innerHTML = tableRows;
+                        <div class="credential-details-row">
+                            <span class="credential-details-label">${t('field.driver')}:</span>
+                            <span class="credential-details-value">${escapeHtml(ruckitDriver)}</span>
+                        </div>
+                    </div>
+                </td>
+            </tr>
+        `;
+    }
+
+    /**
+     * Render the selection checkbox cell of a table row
+     */
+    function renderSelectCell(table, deviceId, deviceName) {
+        return `
+            <td class="select-cell">
+                <input type="checkbox" class="form-check-input row-select" data-action="select-row" data-table="${table}" data-device-id="${escapeHtml(deviceId)}"
+                    ${selectedDeviceIds[table].has(deviceId) ? 'checked' : ''} aria-label="${escapeHtml(t('bulk.selectRow', { device: deviceName }))}">
+            </td>
+        `;
+    }
+
+    /**
+     * Remember what has been typed into the open credential forms in a table before it is re-rendered
+     */
+    function captureFormValues(tableBody) {
+        tableBody.querySelectorAll('tr[id^="credential-form-row-"]').forEach(formRow => {
+            const deviceId = formRow.id.slice('credential-form-row-'.length);
+            const openForm = openCredentialForms[deviceId];
+            if (!openForm) return;
+            
+            openForm.values = {};
+            FORM_INPUT_PREFIXES.forEach(prefix => {
+                const input = document.getElementById(`${prefix}-${deviceId}`);
+                if (input) openForm.values[prefix] = input.value;
+            });
+        });
+    }
+
+    /**
+     * Reopen the credential forms and history panels that were open on rows now shown in a table
+     */
+    function restoreOpenRows(tableBody) {
+        tableBody.querySelectorAll('tr[data-device-id]').forEach(row => {
+            const deviceId = row.dataset.deviceId;
+            
+            if (openHistoryDeviceIds.has(deviceId)) {
+                toggleHistory(deviceId);
+            }
+            
+            const openForm = openCredentialForms[deviceId];
+            if (openForm) {
+                showCredentialForm(deviceId, openForm.deviceName, openForm.baseMapping);
+                
+                // Keep the version the user started editing from so conflicts are still detected
+                openCredentialForms[deviceId] = openForm;
+                Object.entries(openForm.values || {}).forEach(([prefix, value]) => {
+                    const input = document.getElementById(`${prefix}-${deviceId}`);
+                    if (input) input.value = value;
+                });
+            }
+        });
     }
 
     /**
@@ -457,59 +904,250 @@ geotab.addin.ruckitAssets = function () {
     /**
      * Toggle credentials visibility
      */
-    window.toggleCredentials = function(deviceId) {
+    function toggleCredentials(deviceId) {
         const credentialsRow = document.getElementById(`credentials-row-${deviceId}`);
-        const button = document.querySelector(`tr[data-device-id="${deviceId}"] .btn-show-credentials`);
+        const button = document.querySelector(`tr[data-device-id="${CSS.escape(deviceId)}"] .btn-show-credentials`);
         
         if (credentialsRow && button) {
             if (credentialsRow.style.display === 'none') {
                 credentialsRow.style.display = 'table-row';
-                button.innerHTML = '<i class="fas fa-eye-slash me-1"></i>Hide Credentials';
+                button.innerHTML = `<i class="fas fa-eye-slash me-1"></i>${t('table.hideCredentials')}`;
+                expandedDeviceIds.add(deviceId);
             } else {
                 credentialsRow.style.display = 'none';
-                button.innerHTML = '<i class="fas fa-eye me-1"></i>Show Credentials';
+                button.innerHTML = `<i class="fas fa-eye me-1"></i>${t('table.showCredentials')}`;
+                expandedDeviceIds.delete(deviceId);
             }
         }
+    }
+
+    const NOTIFICATION_ICONS = {
+        success: 'fa-check-circle',
+        info: 'fa-info-circle',
+        warning: 'fa-exclamation-triangle',
+        danger: 'fa-times-circle'
     };
 
+    const NOTIFICATION_DURATIONS = {
+        success: 4000,
+        info: 4000,
+        warning: 8000
+    };
+
+    const MAX_NOTIFICATIONS = 5;
+
     /**
-     * Log messages (alerts removed from UI)
+     * Show an in-page notification. Errors stay until dismissed unless options.sticky is false.
      */
-    function showAlert(message, type = 'info') {
+    function showAlert(message, type = 'info', options = {}) {
         if (type === 'danger' || type === 'warning') {
             console.error(`[${type}] ${message}`);
         } else {
             console.log(`[${type}] ${message}`);
         }
+
+        const container = document.getElementById('notificationContainer');
+        if (!container) return;
+
+        const sticky = options.sticky !== undefined ? options.sticky : type === 'danger';
+
+        const notification = document.createElement('div');
+        notification.className = `notification notification-${type}`;
+        notification.setAttribute('role', type === 'danger' ? 'alert' : 'status');
+        notification.innerHTML = `
+            <i class="fas ${NOTIFICATION_ICONS[type] || NOTIFICATION_ICONS.info} notification-icon"></i>
+            <div class="notification-message">${escapeHtml(message)}</div>
+            <button type="button" class="notification-close" aria-label="${t('common.dismiss')}">
+                <i class="fas fa-times"></i>
+            </button>
+        `;
+
+        notification.querySelector('.notification-close').addEventListener('click', () => dismissAlert(notification));
+        container.appendChild(notification);
+
+        // Drop the oldest non-sticky notifications when the stack gets too tall
+        const stacked = Array.from(container.querySelectorAll('.notification:not(.notification-leaving)'));
+        if (stacked.length > MAX_NOTIFICATIONS) {
+            stacked
+                .filter(item => !item.classList.contains('notification-sticky') && item !== notification)
+                .slice(0, stacked.length - MAX_NOTIFICATIONS)
+                .forEach(dismissAlert);
+        }
+
+        if (sticky) {
+            notification.classList.add('notification-sticky');
+        } else {
+            const duration = options.duration || NOTIFICATION_DURATIONS[type] || NOTIFICATION_DURATIONS.info;
+            setTimeout(() => dismissAlert(notification), duration);
+        }
+
+        return notification;
     }
 
     /**
-     * Escape HTML to prevent XSS
+     * Remove a notification from the stack
      */
-    function escapeHtml(text) {
+    function dismissAlert(notification) {
+        if (!notification || notification.classList.contains('notification-leaving')) return;
+
+        notification.classList.add('notification-leaving');
+        setTimeout(() => notification.remove(), 200);
+    }
+
+    /**
+     * Show an inline error under a credential form field
+     */
+    function setFieldError(deviceId, field, message) {
+        const input = document.getElementById(`${field}-${deviceId}`);
+        const errorEl = document.getElementById(`${field}-error-${deviceId}`);
+
+        if (input) input.classList.add('is-invalid');
+        if (errorEl) errorEl.textContent = message;
+    }
+
+    /**
+     * Show a form-level error inside the credential form
+     */
+    function setFormError(deviceId, message) {
+        const errorEl = document.getElementById(`form-error-${deviceId}`);
+        if (errorEl) {
+            errorEl.textContent = message;
+            errorEl.style.display = message ? 'block' : 'none';
+        }
+    }
+
+    /**
+     * Clear all inline errors in a credential form
+     */
+    function clearFormErrors(deviceId) {
+        ['token', 'device', 'driver'].forEach(field => {
+            const input = document.getElementById(`${field}-${deviceId}`);
+            const errorEl = document.getElementById(`${field}-error-${deviceId}`);
+
+            if (input) input.classList.remove('is-invalid');
+            if (errorEl) errorEl.textContent = '';
+        });
+        setFormError(deviceId, '');
+    }
+
+    /**
+     * Escape HTML to prevent XSS
+     */
+    function escapeHtml(text) {
         const div = document.createElement('div');
         div.textContent = text;
-        return div.innerHTML;
+        return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
     }
 
     /**
-     * Refresh data function (exposed globally)
+     * Reload data from the toolbar refresh button
      */
-    window.refreshData = async function() {
+    async function refreshData() {
         setButtonLoading('refreshBtn', true);
         try {
             await loadRuckitAssets();
         } finally {
             setButtonLoading('refreshBtn', false);
         }
+    }
+
+    /**
+     * Get the name of the form a button belongs to, falling back to the asset name
+     */
+    function getFormDeviceName(deviceId) {
+        const openForm = openCredentialForms[deviceId];
+        return openForm ? openForm.deviceName : getDeviceDisplayName(deviceId);
+    }
+
+    /** Click handlers for elements with a data-action attribute */
+    const CLICK_ACTIONS = {
+        'show-form': el => showCredentialForm(el.dataset.deviceId, getDeviceDisplayName(el.dataset.deviceId), null),
+        'toggle-credentials': el => toggleCredentials(el.dataset.deviceId),
+        'toggle-history': el => toggleHistory(el.dataset.deviceId),
+        'reveal-token': el => revealToken(el.dataset.deviceId),
+        'copy-token': el => copyToken(el.dataset.deviceId),
+        'view-asset': el => viewAsset(el.dataset.deviceId),
+        'change-page': el => changeTablePage(el.dataset.table, Number(el.dataset.page)),
+        'cancel-form': el => cancelCredentialForm(el.dataset.deviceId),
+        'test-connection': el => testConnection(el.dataset.deviceId),
+        'save-credentials': el => saveCredentials(el.dataset.deviceId, getFormDeviceName(el.dataset.deviceId)),
+        'clear-credentials': el => clearCredentials(el.dataset.deviceId, getFormDeviceName(el.dataset.deviceId)),
+        'resolve-conflict': el => resolveConflict(el.dataset.deviceId, el.dataset.mode),
+        'insert-filter': el => insertSearchFilter(el.dataset.input, el.dataset.prefix),
+        'coverage-filter': el => applyCoverageFilter(el.dataset.filter, el.dataset.groupId),
+        'show-import': () => showImportPanel(),
+        'show-roster': () => showRosterPanel(),
+        'hide-roster': () => hideRosterPanel(),
+        'roster-decision': el => setRosterDecision(Number(el.dataset.index), el.dataset.decision),
+        'roster-accept-confident': () => acceptConfidentRosterSuggestions(),
+        'apply-roster': () => applyRosterSuggestions(),
+        'cancel-import': () => cancelImport(),
+        'apply-import': () => applyImport(),
+        'verify-all': () => verifyAllCredentials(),
+        'export': el => exportMappings(el.dataset.format),
+        'show-health': () => showHealthPanel(),
+        'hide-health': () => hideHealthPanel(),
+        'apply-health-fix': el => applyHealthFix(Number(el.dataset.index)),
+        'fix-all-health': () => applyAllHealthFixes(),
+        'show-cleanup': () => showCleanupPanel(),
+        'hide-cleanup': () => hideCleanupPanel(),
+        'remove-selected': () => removeSelectedMappings(),
+        'show-settings': () => showSettingsPanel(),
+        'hide-settings': () => hideSettingsPanel(),
+        'save-settings': () => saveSettingsPanel(),
+        'refresh': () => refreshData(),
+        'bulk-apply-token': el => bulkApplyToken(el.dataset.table),
+        'bulk-verify': () => bulkVerifyCredentials(),
+        'bulk-export': el => bulkExportMappings(el.dataset.format),
+        'bulk-clear': () => bulkClearCredentials(),
+        'clear-selection': el => clearSelection(el.dataset.table),
+        'hide-bulk-results': () => hideBulkResults(),
+        'show-transfer': el => showTransferPanel(el.dataset.index !== undefined
+            ? cleanupCandidates[Number(el.dataset.index)]?.mapping
+            : findExistingMappingForDevice(el.dataset.deviceId)),
+        'hide-transfer': () => hideTransferPanel(),
+        'apply-transfer': () => applyTransfer()
+    };
+
+    /** Change handlers for elements with a data-action attribute */
+    const CHANGE_ACTIONS = {
+        'import-file': el => handleImportFile(el),
+        'roster-file': el => handleRosterFile(el),
+        'change-sort': el => changeTableSort(el.dataset.table, el.value),
+        'cleanup-select': () => updateCleanupSelection(),
+        'cleanup-select-all': el => toggleCleanupSelectAll(el.checked),
+        'select-row': el => toggleRowSelection(el.dataset.table, el.dataset.deviceId, el.checked),
+        'select-all-filtered': el => toggleSelectAllFiltered(el.dataset.table, el.checked)
     };
 
     /**
-     * Setup event listeners
+     * Run the handler for the data-action element an event came from
+     */
+    function handleDelegatedEvent(actions, event) {
+        const target = event.target.closest('[data-action]');
+        if (!target || !elAddin.contains(target)) return;
+        
+        const handler = actions[target.dataset.action];
+        if (handler) {
+            handler(target);
+        }
+    }
+
+    /**
+     * Setup event listeners. Does nothing if they are already registered.
      */
     function setupEventListeners() {
+        if (listenersController || !elAddin) return;
+        
+        listenersController = new AbortController();
+        const signal = listenersController.signal;
+        
+        // One click and one change listener handle every data-action element, including re-rendered rows
+        elAddin.addEventListener('click', event => handleDelegatedEvent(CLICK_ACTIONS, event), { signal });
+        elAddin.addEventListener('change', event => handleDelegatedEvent(CHANGE_ACTIONS, event), { signal });
+        
         // Setup search functionality
-        setupSearch();
+        setupSearch(signal);
         
         // Handle keyboard shortcuts
         document.addEventListener('keydown', function(event) {
@@ -522,12 +1160,78 @@ geotab.addin.ruckitAssets = function () {
             // Ctrl/Cmd + F to focus search
             if ((event.ctrlKey || event.metaKey) && event.key === 'f') {
                 event.preventDefault();
-                const searchInput = document.getElementById('searchInput');
+                const searchInput = document.getElementById('searchInputAll');
                 if (searchInput) {
                     searchInput.focus();
                     searchInput.select();
                 }
             }
+        }, { signal });
+    }
+
+    /**
+     * Remove the listeners added by setupEventListeners and cancel pending searches
+     */
+    function teardownEventListeners() {
+        if (listenersController) {
+            listenersController.abort();
+            listenersController = null;
+        }
+        
+        Object.values(searchDebounceTimers).forEach(timer => clearTimeout(timer));
+        searchDebounceTimers = {};
+    }
+
+    /**
+     * Save the search, sort and page of both tables into the page URL so a link reopens the same view
+     */
+    function saveViewState() {
+        if (!state || typeof state.setState !== 'function') return;
+        
+        state.setState({
+            searchAll: searchTermAll,
+            searchRuckit: searchTermRuckit,
+            sortAll: sortState.all,
+            sortRuckit: sortState.ruckit,
+            pageAll: pageState.all,
+            pageRuckit: pageState.ruckit
+        });
+    }
+
+    /**
+     * Restore the view saved in the page URL. Anything the URL doesn't set keeps its in-memory value.
+     */
+    function restoreViewState() {
+        const saved = (state && typeof state.getState === 'function' && state.getState()) || {};
+        
+        if (typeof saved.searchAll === 'string') searchTermAll = saved.searchAll;
+        if (typeof saved.searchRuckit === 'string') searchTermRuckit = saved.searchRuckit;
+        if (SORT_KEYS.includes(saved.sortAll)) sortState.all = saved.sortAll;
+        if (SORT_KEYS.includes(saved.sortRuckit)) sortState.ruckit = saved.sortRuckit;
+        
+        const pageAll = parseInt(saved.pageAll, 10);
+        const pageRuckit = parseInt(saved.pageRuckit, 10);
+        if (pageAll > 0) pageState.all = pageAll;
+        if (pageRuckit > 0) pageState.ruckit = pageRuckit;
+        
+        syncViewControls();
+    }
+
+    /**
+     * Show the current search terms and sort order in the search boxes and sort selects
+     */
+    function syncViewControls() {
+        [
+            ['searchInputAll', 'searchClearAll', 'sortAll', searchTermAll, sortState.all],
+            ['searchInputRuckit', 'searchClearRuckit', 'sortRuckit', searchTermRuckit, sortState.ruckit]
+        ].forEach(([inputId, clearId, sortId, term, sortKey]) => {
+            const input = document.getElementById(inputId);
+            const clearButton = document.getElementById(clearId);
+            const sortSelect = document.getElementById(sortId);
+            
+            if (input) input.value = term;
+            if (clearButton) clearButton.classList.toggle('show', !!term.trim());
+            if (sortSelect) sortSelect.value = sortKey;
         });
     }
 
@@ -536,36 +1240,296 @@ geotab.addin.ruckitAssets = function () {
      */
     async function getAllDevices() {
         try {
-            const devices = await makeGeotabCall("Get", "Device", {});
-            return devices || [];
+            const devices = await getAllPaged("Device");
+            devicesLoadFailed = false;
+            return devices;
         } catch (error) {
             console.error('Error fetching all devices:', error);
+            devicesLoadFailed = true;
             return [];
         }
     }
 
+    /**
+     * Get all groups from Geotab
+     */
+    async function getGroups() {
+        try {
+            const groups = await makeGeotabCall("Get", "Group", {});
+            return groups || [];
+        } catch (error) {
+            console.error('Error fetching groups:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Get the group IDs selected in the MyGeotab global group filter
+     */
+    function getGroupFilterIds() {
+        if (!state || typeof state.getGroupFilter !== 'function') {
+            return [];
+        }
+
+        const groupFilter = state.getGroupFilter() || [];
+        return groupFilter
+            .map(group => group.id)
+            .filter(id => id && id !== 'GroupCompanyId');
+    }
+
+    /**
+     * Expand group IDs to include all of their descendant groups
+     */
+    function expandGroupIds(groupIds) {
+        const expanded = new Set();
+        const pending = [...groupIds];
+
+        while (pending.length > 0) {
+            const groupId = pending.pop();
+            if (expanded.has(groupId)) continue;
+
+            expanded.add(groupId);
+            const group = groupsById.get(groupId);
+            (group?.children || []).forEach(child => pending.push(child.id));
+        }
+
+        return expanded;
+    }
+
+    /**
+     * Keep only devices that belong to the groups in the global group filter
+     */
+    function filterDevicesByGroupScope(devices) {
+        if (groupFilterIds.length === 0) {
+            return devices;
+        }
+
+        const scopeGroupIds = expandGroupIds(groupFilterIds);
+        return devices.filter(device =>
+            (device.groups || []).some(group => scopeGroupIds.has(group.id))
+        );
+    }
+
+    /**
+     * Get a display name for a group
+     */
+    function getGroupName(groupId) {
+        const group = groupsById.get(groupId);
+        return (group && group.name) || groupId;
+    }
+
+    /**
+     * Show or hide the active group filter indicator
+     */
+    function renderGroupFilterIndicator() {
+        const indicator = document.getElementById('groupFilterIndicator');
+        if (!indicator) return;
+
+        if (groupFilterIds.length === 0) {
+            indicator.style.display = 'none';
+            indicator.innerHTML = '';
+            return;
+        }
+
+        const groupNames = groupFilterIds.map(getGroupName).join(', ');
+        indicator.innerHTML = `
+            <i class="fas fa-filter me-2"></i>
+            ${t('groupFilter.active')} <strong>${escapeHtml(groupNames)}</strong>
+            <span class="ms-2">${t('groupFilter.count', { shown: allDevicesData.length, count: activeDevicesData.length })}</span>
+        `;
+        indicator.style.display = 'flex';
+    }
+
+    /**
+     * Work out the onboarding figures for the coverage dashboard from the loaded assets and mappings
+     */
+    function getCoverageStats() {
+        const recentSince = Date.now() - COVERAGE_RECENT_DAYS * 24 * 60 * 60 * 1000;
+        const isRecent = value => {
+            const time = value ? new Date(value).getTime() : NaN;
+            return !isNaN(time) && time >= recentSince;
+        };
+        
+        // Only credentials that passed verification count as valid. Results are kept in memory,
+        // so after a reload everything is unverified until Verify All runs again.
+        const getVerificationStatus = deviceId => verificationResults[deviceId]?.status;
+        
+        // Devices count towards every group above their own, so parent groups cover their whole subtree
+        const parentIds = new Map();
+        groupsData.forEach(group => (group.children || []).forEach(child => parentIds.set(child.id, group.id)));
+        const getGroupLineage = groupIds => {
+            const lineage = new Set();
+            groupIds.forEach(groupId => {
+                for (let id = groupId; id && id !== 'GroupCompanyId' && !lineage.has(id); id = parentIds.get(id)) {
+                    lineage.add(id);
+                }
+            });
+            return lineage;
+        };
+        
+        const groups = new Map();
+        let valid = 0;
+        let unverified = 0;
+        allDevicesData.forEach(device => {
+            const hasCredentials = deviceHasCredentials(device.id);
+            const status = getVerificationStatus(device.id);
+            const deviceValid = hasCredentials && status === 'valid';
+            if (deviceValid) valid++;
+            if (hasCredentials && status !== 'valid' && status !== 'invalid') unverified++;
+            
+            getGroupLineage((device.groups || []).map(group => group.id)).forEach(groupId => {
+                const entry = groups.get(groupId) || { id: groupId, name: getGroupName(groupId), total: 0, valid: 0 };
+                entry.total++;
+                if (deviceValid) entry.valid++;
+                groups.set(groupId, entry);
+            });
+        });
+        
+        const retiredDevices = filterDevicesByGroupScope(loadedDevicesData.filter(device => !devicesById.has(device.id)));
+        const retiredIds = new Set(retiredDevices.map(device => device.id));
+        const retiredWithCredentials = new Set(ruckitMappingsData
+            .filter(mapping => retiredIds.has(mapping.details?.['gt-device']) && mappingHasCredentials(mapping))
+            .map(mapping => mapping.details['gt-device']));
+        
+        return {
+            total: allDevicesData.length,
+            valid: valid,
+            unverified: unverified,
+            added: allDevicesData.filter(device => isRecent(device.activeFrom)).length,
+            changed: filterPlaceholderEntries(assetsData).filter(mapping => isRecent(mapping.details.date)).length,
+            retiredWithCredentials: retiredWithCredentials.size,
+            groups: Array.from(groups.values()).sort((a, b) => nameCollator.compare(a.name, b.name))
+        };
+    }
+
+    /**
+     * Render the coverage dashboard above the two tables
+     */
+    function renderCoverageDashboard() {
+        const dashboard = document.getElementById('coverageDashboard');
+        if (!dashboard) return;
+        
+        const stats = getCoverageStats();
+        if (stats.total === 0) {
+            dashboard.style.display = 'none';
+            dashboard.innerHTML = '';
+            return;
+        }
+        
+        const getPercent = (count, total) => total > 0 ? Math.round(count / total * 100) : 0;
+        const percentFormat = new Intl.NumberFormat(currentLanguageTag, { style: 'percent' });
+        const formatCount = count => count.toLocaleString(currentLanguageTag);
+        
+        dashboard.innerHTML = `
+            <div class="coverage-figures">
+                <div class="coverage-figure">
+                    <span class="coverage-figure-value">${percentFormat.format(getPercent(stats.valid, stats.total) / 100)}</span>
+                    <span class="coverage-figure-label">${t('coverage.valid')}</span>
+                    <span class="coverage-figure-detail">${t('coverage.validCount', { valid: stats.valid, count: stats.total })}</span>
+                    ${stats.unverified > 0 ? `<span class="coverage-figure-detail">${t('coverage.unverified', { count: stats.unverified })}</span>` : ''}
+                </div>
+                <button type="button" class="coverage-figure" data-action="coverage-filter" data-filter="added" title="${escapeHtml(t('coverage.filterAdded', { days: COVERAGE_RECENT_DAYS }))}">
+                    <span class="coverage-figure-value">${formatCount(stats.added)}</span>
+                    <span class="coverage-figure-label">${t('coverage.added', { days: COVERAGE_RECENT_DAYS })}</span>
+                </button>
+                <button type="button" class="coverage-figure" data-action="coverage-filter" data-filter="changed" title="${escapeHtml(t('coverage.filterChanged', { days: COVERAGE_RECENT_DAYS }))}">
+                    <span class="coverage-figure-value">${formatCount(stats.changed)}</span>
+                    <span class="coverage-figure-label">${t('coverage.changed', { days: COVERAGE_RECENT_DAYS })}</span>
+                </button>
+                <button type="button" class="coverage-figure ${stats.retiredWithCredentials > 0 ? 'coverage-figure-warning' : ''}" data-action="show-cleanup" title="${escapeHtml(t('coverage.openCleanup'))}">
+                    <span class="coverage-figure-value">${formatCount(stats.retiredWithCredentials)}</span>
+                    <span class="coverage-figure-label">${t('coverage.retired')}</span>
+                </button>
+            </div>
+            ${stats.groups.length > 0 ? `
+                <div class="coverage-groups">
+                    <div class="coverage-groups-title">${t('coverage.byGroup')}</div>
+                    ${stats.groups.map(group => {
+                        const groupPercent = getPercent(group.valid, group.total);
+                        return `
+                            <button type="button" class="coverage-group" data-action="coverage-filter" data-filter="group" data-group-id="${escapeHtml(group.id)}" title="${escapeHtml(t('coverage.filterGroup', { group: group.name }))}">
+                                <span class="coverage-group-name">${escapeHtml(group.name)}</span>
+                                <span class="progress coverage-progress">
+                                    <span class="progress-bar" role="progressbar" style="width: ${groupPercent}%;" aria-valuenow="${groupPercent}" aria-valuemin="0" aria-valuemax="100"></span>
+                                </span>
+                                <span class="coverage-group-count">${t('coverage.groupCount', { percent: percentFormat.format(groupPercent / 100), valid: group.valid, count: group.total })}</span>
+                            </button>
+                        `;
+                    }).join('')}
+                </div>
+            ` : ''}
+        `;
+        dashboard.style.display = 'block';
+    }
+
+    /**
+     * Filter both tables to the assets behind a dashboard figure, through the search boxes
+     */
+    function applyCoverageFilter(filter, groupId) {
+        let queryAll = '';
+        let queryRuckit = '';
+        
+        if (filter === 'added') {
+            queryAll = queryRuckit = `added:${COVERAGE_RECENT_DAYS}`;
+        } else if (filter === 'changed') {
+            // Only mapped assets have a change date worth showing
+            queryRuckit = `changed:${COVERAGE_RECENT_DAYS}`;
+        } else if (filter === 'group') {
+            queryAll = queryRuckit = `group:"${getGroupName(groupId).replace(/"/g, '')}"`;
+        }
+        
+        searchTermAll = queryAll;
+        searchTermRuckit = queryRuckit;
+        pageState.all = 1;
+        pageState.ruckit = 1;
+        syncViewControls();
+        applyAllDevicesFilters();
+        applyFilters();
+        saveViewState();
+    }
+
     /**
      * Filter data for all devices column
      */
     function filterAllDevicesBySearch(data, searchTerm) {
-        if (!searchTerm.trim()) {
+        const criteria = parseSearchQuery(searchTerm);
+        if (criteria.length === 0) {
             return data;
         }
         
-        const term = searchTerm.toLowerCase().trim();
         return data.filter(device => {
-            const deviceName = (device.name || '').toLowerCase();
-            return deviceName.includes(term);
+            const mapping = findExistingMappingForDevice(device.id);
+            // Match on the Geotab name, not a possibly stale name in the mapping
+            const record = buildSearchRecord(device, mapping);
+            record.name = (device.name || '').toLowerCase();
+            return matchesSearchCriteria(record, criteria);
         });
     }
 
+    /**
+     * Add a field prefix to a search input
+     */
+    function insertSearchFilter(inputId, prefix) {
+        const input = document.getElementById(inputId);
+        if (!input) return;
+        
+        const value = input.value.trim();
+        input.value = value ? `${value} ${prefix}` : prefix;
+        input.focus();
+        input.dispatchEvent(new Event('input'));
+    }
+
     /**
      * Apply filters to all devices
      */
     function applyAllDevicesFilters() {
-        filteredAllDevices = filterAllDevicesBySearch(allDevicesData, searchTermAll);
+        const devicesWithoutCreds = allDevicesData.filter(device => !deviceHasCredentials(device.id));
+        const filtered = filterAllDevicesBySearch(devicesWithoutCreds, searchTermAll);
+        
+        filteredAllDevices = sortRows(filtered, sortState.all, device => device, device => findExistingMappingForDevice(device.id));
         renderAllDevicesTable(filteredAllDevices);
-        updateAllDevicesSearchStats();
+        updateAllDevicesSearchStats(devicesWithoutCreds.length);
+        updateBulkBar('all');
     }
 
     /**
@@ -575,56 +1539,181 @@ geotab.addin.ruckitAssets = function () {
         let filtered = filterPlaceholderEntries(assetsData);
         filtered = filterDataBySearch(filtered, searchTermRuckit);
         
-        filteredData = filtered;
+        filteredData = sortRows(filtered, sortState.ruckit, item => devicesById.get(item.details?.['gt-device']), item => item);
         renderAssetsTable(filteredData);
         updateSearchStats();
+        updateBulkBar('ruckit');
     }
 
     /**
      * Update search statistics for all devices
      */
-    function updateAllDevicesSearchStats() {
+    function updateAllDevicesSearchStats(totalWithoutCreds) {
         const searchResultsEl = document.getElementById('searchResultsAll');
         const totalAssetsEl = document.getElementById('totalAssetsAll');
         const assetCountEl = document.getElementById('assetCountAll');
         
-        // Count devices without credentials from the full dataset
-        const devicesWithoutCreds = allDevicesData.filter(device => {
-            const existingMapping = findExistingMappingForDevice(device.id);
-            const hasValidCredentials = existingMapping && 
-                                    existingMapping.details['ri-token'] !== 'TOKEN' &&
-                                    existingMapping.details['ri-device'] !== 'DeviceID' &&
-                                    existingMapping.details['ri-driver'] !== 'DriverID';
-            return !hasValidCredentials;
-        });
-        
-        // Count filtered devices without credentials
-        const filteredWithoutCreds = filteredAllDevices.filter(device => {
-            const existingMapping = findExistingMappingForDevice(device.id);
-            const hasValidCredentials = existingMapping && 
-                                    existingMapping.details['ri-token'] !== 'TOKEN' &&
-                                    existingMapping.details['ri-device'] !== 'DeviceID' &&
-                                    existingMapping.details['ri-driver'] !== 'DriverID';
-            return !hasValidCredentials;
-        });
-        
         if (searchResultsEl) {
             if (searchTermAll.trim()) {
-                searchResultsEl.textContent = `Showing ${filteredWithoutCreds.length} of ${devicesWithoutCreds.length} assets`;
+                searchResultsEl.textContent = t('search.showingFiltered', { shown: filteredAllDevices.length, count: totalWithoutCreds });
                 searchResultsEl.classList.add('filtered');
             } else {
-                searchResultsEl.textContent = 'Showing all assets';
+                searchResultsEl.textContent = t('search.showingAll');
                 searchResultsEl.classList.remove('filtered');
             }
         }
         
         if (totalAssetsEl) {
-            totalAssetsEl.textContent = `Total: ${devicesWithoutCreds.length}`;
+            totalAssetsEl.textContent = t('search.total', { count: totalWithoutCreds });
         }
         
         if (assetCountEl) {
-            assetCountEl.textContent = filteredWithoutCreds.length;
+            assetCountEl.textContent = filteredAllDevices.length;
+        }
+    }
+
+    /**
+     * Get the value a row is sorted by
+     */
+    function getSortValue(device, mapping, field) {
+        const details = (mapping && mapping.details) || {};
+        
+        if (field === 'serial') {
+            return (device && device.serialNumber) || details['gt-sn'] || '';
+        }
+        if (field === 'updated') {
+            return details.date ? new Date(details.date).getTime() || 0 : 0;
+        }
+        return (device && device.name) || details.name || '';
+    }
+
+    /**
+     * Sort table rows by a key such as "name-asc" or "updated-desc"
+     */
+    function sortRows(rows, sortKey, getDevice, getMapping) {
+        const [field, direction] = sortKey.split('-');
+        const factor = direction === 'desc' ? -1 : 1;
+        
+        // Compute each sort value once rather than on every comparison
+        const keyed = rows.map(row => ({
+            row,
+            value: getSortValue(getDevice(row), getMapping(row), field)
+        }));
+        keyed.sort((a, b) => {
+            const result = field === 'updated' ? a.value - b.value : nameCollator.compare(a.value, b.value);
+            return result * factor;
+        });
+        
+        return keyed.map(item => item.row);
+    }
+
+    /**
+     * Render the serial number and last update under an asset name
+     */
+    function renderAssetMeta(device, mapping) {
+        const serialNumber = (device && device.serialNumber) || (mapping && mapping.details['gt-sn']) || '';
+        const updated = mapping && mapping.details.date ? new Date(mapping.details.date) : null;
+        
+        const parts = [];
+        if (serialNumber) {
+            parts.push(escapeHtml(t('table.serialNumber', { serial: serialNumber })));
+        }
+        if (updated && !isNaN(updated.getTime())) {
+            parts.push(escapeHtml(t('table.updated', { date: formatDate(updated) })));
+        }
+        
+        return parts.length > 0 ? `<div class="asset-meta">${parts.join(' &middot; ')}</div>` : '';
+    }
+
+    /**
+     * Get the rows for the current page of a table, clamping the page number
+     */
+    function getPageSlice(rows, table) {
+        const pageCount = Math.max(1, Math.ceil(rows.length / TABLE_PAGE_SIZE));
+        pageState[table] = Math.min(Math.max(1, pageState[table]), pageCount);
+        
+        const start = (pageState[table] - 1) * TABLE_PAGE_SIZE;
+        return rows.slice(start, start + TABLE_PAGE_SIZE);
+    }
+
+    /**
+     * Render paging controls below a table
+     */
+    function renderPagination(table, totalRows) {
+        const container = document.getElementById(table === 'all' ? 'paginationAll' : 'paginationRuckit');
+        if (!container) return;
+        
+        if (totalRows <= TABLE_PAGE_SIZE) {
+            container.innerHTML = '';
+            return;
+        }
+        
+        const page = pageState[table];
+        const pageCount = Math.ceil(totalRows / TABLE_PAGE_SIZE);
+        const start = (page - 1) * TABLE_PAGE_SIZE + 1;
+        const end = Math.min(page * TABLE_PAGE_SIZE, totalRows);
+        
+        container.innerHTML = `
+            <span class="pagination-info">${t('pagination.range', { start, end, count: totalRows })}</span>
+            <div class="pagination-buttons">
+                <button class="btn-page" data-action="change-page" data-table="${table}" data-page="1" ${page === 1 ? 'disabled' : ''} title="${t('pagination.first')}">
+                    <i class="fas fa-angle-double-left"></i>
+                </button>
+                <button class="btn-page" data-action="change-page" data-table="${table}" data-page="${page - 1}" ${page === 1 ? 'disabled' : ''} title="${t('pagination.previous')}">
+                    <i class="fas fa-angle-left"></i>
+                </button>
+                <span class="pagination-page">${t('pagination.page', { page, count: pageCount })}</span>
+                <button class="btn-page" data-action="change-page" data-table="${table}" data-page="${page + 1}" ${page === pageCount ? 'disabled' : ''} title="${t('pagination.next')}">
+                    <i class="fas fa-angle-right"></i>
+                </button>
+                <button class="btn-page" data-action="change-page" data-table="${table}" data-page="${pageCount}" ${page === pageCount ? 'disabled' : ''} title="${t('pagination.last')}">
+                    <i class="fas fa-angle-double-right"></i>
+                </button>
+            </div>
+        `;
+    }
+
+    /**
+     * Go to a page of the left ('all') or right ('ruckit') table
+     */
+    function changeTablePage(table, page) {
+        pageState[table] = page;
+        if (table === 'all') {
+            renderAllDevicesTable(filteredAllDevices);
+        } else {
+            renderAssetsTable(filteredData);
+        }
+        saveViewState();
+    }
+
+    /**
+     * Change the sort order of a table
+     */
+    function changeTableSort(table, sortKey) {
+        sortState[table] = sortKey;
+        pageState[table] = 1;
+        if (table === 'all') {
+            applyAllDevicesFilters();
+        } else {
+            applyFilters();
         }
+        saveViewState();
+    }
+
+    /**
+     * Run a search after typing pauses so large tables are not re-rendered on every keystroke
+     */
+    function scheduleSearch(table) {
+        clearTimeout(searchDebounceTimers[table]);
+        searchDebounceTimers[table] = setTimeout(() => {
+            pageState[table] = 1;
+            if (table === 'all') {
+                applyAllDevicesFilters();
+            } else {
+                applyFilters();
+            }
+            saveViewState();
+        }, SEARCH_DEBOUNCE_MS);
     }
 
     /**
@@ -640,16 +1729,16 @@ geotab.addin.ruckitAssets = function () {
         
         if (searchResultsEl) {
             if (searchTermRuckit.trim()) {
-                searchResultsEl.textContent = `Showing ${filteredCount} of ${validAssets.length} assets`;
+                searchResultsEl.textContent = t('search.showingFiltered', { shown: filteredCount, count: validAssets.length });
                 searchResultsEl.classList.add('filtered');
             } else {
-                searchResultsEl.textContent = 'Showing all assets';
+                searchResultsEl.textContent = t('search.showingAll');
                 searchResultsEl.classList.remove('filtered');
             }
         }
         
         if (totalAssetsEl) {
-            totalAssetsEl.textContent = `Total: ${validAssets.length}`;
+            totalAssetsEl.textContent = t('search.total', { count: validAssets.length });
         }
         
         if (assetCountEl) {
@@ -660,7 +1749,7 @@ geotab.addin.ruckitAssets = function () {
     /**
      * Setup search functionality for both columns
      */
-    function setupSearch() {
+    function setupSearch(signal) {
         // All devices search
         const searchInputAll = document.getElementById('searchInputAll');
         const searchClearAll = document.getElementById('searchClearAll');
@@ -668,22 +1757,25 @@ geotab.addin.ruckitAssets = function () {
         if (searchInputAll && searchClearAll) {
             searchInputAll.addEventListener('input', function(e) {
                 searchTermAll = e.target.value;
-                applyAllDevicesFilters();
+                scheduleSearch('all');
                 
                 if (searchTermAll.trim()) {
                     searchClearAll.classList.add('show');
                 } else {
                     searchClearAll.classList.remove('show');
                 }
-            });
+            }, { signal });
             
             searchClearAll.addEventListener('click', function() {
                 searchInputAll.value = '';
                 searchTermAll = '';
                 searchClearAll.classList.remove('show');
+                clearTimeout(searchDebounceTimers.all);
+                pageState.all = 1;
                 applyAllDevicesFilters();
+                saveViewState();
                 searchInputAll.focus();
-            });
+            }, { signal });
         }
         
         // Ruckit assets search
@@ -693,81 +1785,147 @@ geotab.addin.ruckitAssets = function () {
         if (searchInputRuckit && searchClearRuckit) {
             searchInputRuckit.addEventListener('input', function(e) {
                 searchTermRuckit = e.target.value;
-                applyFilters();
+                scheduleSearch('ruckit');
                 
                 if (searchTermRuckit.trim()) {
                     searchClearRuckit.classList.add('show');
                 } else {
                     searchClearRuckit.classList.remove('show');
                 }
-            });
+            }, { signal });
             
             searchClearRuckit.addEventListener('click', function() {
                 searchInputRuckit.value = '';
                 searchTermRuckit = '';
                 searchClearRuckit.classList.remove('show');
+                clearTimeout(searchDebounceTimers.ruckit);
+                pageState.ruckit = 1;
                 applyFilters();
+                saveViewState();
                 searchInputRuckit.focus();
-            });
+            }, { signal });
         }
     }
 
+    /**
+     * Rebuild the device and mapping lookup maps after data is loaded
+     */
+    function buildLookupIndexes() {
+        devicesById = new Map(activeDevicesData.map(device => [device.id, device]));
+        
+        // Keep the first mapping per device, matching the previous linear search
+        mappingsByDeviceId = new Map();
+        assetsData.forEach(mapping => {
+            const deviceId = mapping.details?.['gt-device'];
+            if (deviceId && !mappingsByDeviceId.has(deviceId)) {
+                mappingsByDeviceId.set(deviceId, mapping);
+            }
+        });
+    }
+
     /**
      * Find existing mapping for a device
      */
     function findExistingMappingForDevice(deviceId) {
-        return assetsData.find(mapping => 
-            mapping.details && 
-            mapping.details['gt-device'] === deviceId
-        ) || null;
+        return mappingsByDeviceId.get(deviceId) || null;
+    }
+
+    /**
+     * Check whether a device has a complete set of Ruckit credentials
+     */
+    function deviceHasCredentials(deviceId) {
+        return mappingHasCredentials(findExistingMappingForDevice(deviceId));
+    }
+
+    /**
+     * Check if a mapping holds real credentials rather than placeholders
+     */
+    function mappingHasCredentials(mapping) {
+        return !!mapping &&
+            mapping.details['ri-token'] !== 'TOKEN' &&
+            mapping.details['ri-device'] !== 'DeviceID' &&
+            mapping.details['ri-driver'] !== 'DriverID';
+    }
+
+    /**
+     * Get the name shown for a device in forms and prompts
+     */
+    function getDeviceDisplayName(deviceId) {
+        const device = devicesById.get(deviceId);
+        const mapping = findExistingMappingForDevice(deviceId);
+        return (device && device.name) || (mapping && mapping.details.name) || t('common.notAvailable');
     }
 
     /**
      * Show inline credential form
      */
-    window.showCredentialForm = function(deviceId, deviceName, existingMapping) {
-        editingDeviceId = deviceId;
+    function showCredentialForm(deviceId, deviceName, existingMapping) {
+        existingMapping = existingMapping || findExistingMappingForDevice(deviceId);
+        openCredentialForms[deviceId] = { deviceName, baseMapping: existingMapping };
 
-        console.log('Showing credential form for device:', deviceId, deviceName, existingMapping);
+        console.log('Showing credential form for device:', deviceId, deviceName);
         
-        const defaultToken = existingMapping?.details?.['ri-token'] || '';
-        const defaultDevice = existingMapping?.details?.['ri-device'] || '';
-        const defaultDriver = existingMapping?.details?.['ri-driver'] || '';
+        // Placeholder values are never prefilled, and the stored token never enters the DOM:
+        // leaving the token blank keeps the current one
+        const existingDetails = existingMapping?.details || {};
+        const currentToken = getStoredToken(deviceId);
+        const defaultDevice = existingDetails['ri-device'] !== 'DeviceID' ? existingDetails['ri-device'] || '' : '';
+        const defaultDriver = existingDetails['ri-driver'] !== 'DriverID' ? existingDetails['ri-driver'] || '' : '';
+        const tokenPlaceholder = currentToken
+            ? t('form.tokenKeepPlaceholder', { token: maskToken(currentToken) })
+            : t('form.tokenPlaceholder');
         
         const showClearButton = existingMapping && 
-                            existingMapping.details['ri-token'] !== 'TOKEN' &&
-                            existingMapping.details['ri-device'] !== 'DeviceID';
+                            existingDetails['ri-token'] !== 'TOKEN' &&
+                            existingDetails['ri-device'] !== 'DeviceID';
+        
+        const deviceIdEscaped = escapeHtml(deviceId);
         
-        const deviceIdEscaped = escapeHtml(deviceId).replace(/'/g, "\\'");
-        const deviceNameEscaped = escapeHtml(deviceName).replace(/'/g, "\\'");
+        // Find the device row the form is inserted after
+        const deviceRow = document.querySelector(`tr[data-device-id="${CSS.escape(deviceId)}"]`);
+        const columnCount = deviceRow ? deviceRow.cells.length : 2;
         
         const formHtml = `
-            <tr id="credential-form-row-${deviceId}">
-                <td colspan="2">
+            <tr id="credential-form-row-${deviceIdEscaped}">
+                <td colspan="${columnCount}">
                     <div class="credential-form">
+                        <div class="credential-form-error" id="form-error-${deviceIdEscaped}" style="display: none;"></div>
+                        <div class="credential-form-group">
+                            <label>${t('field.token')}:</label>
+                            <input type="text" id="token-${deviceIdEscaped}" value="" placeholder="${escapeHtml(tokenPlaceholder)}" autocomplete="off">
+                            <div class="credential-field-error" id="token-error-${deviceIdEscaped}"></div>
+                        </div>
                         <div class="credential-form-group">
-                            <label>Ruckit Token:</label>
-                            <input type="text" id="token-${deviceId}" value="${escapeHtml(defaultToken)}" placeholder="Enter token">
+                            <label>${t('field.device')}:</label>
+                            <input type="text" id="device-${deviceIdEscaped}" value="${escapeHtml(defaultDevice)}" placeholder="${t('form.devicePlaceholder')}">
+                            <div class="credential-field-error" id="device-error-${deviceIdEscaped}"></div>
                         </div>
                         <div class="credential-form-group">
-                            <label>Ruckit Device ID:</label>
-                            <input type="text" id="device-${deviceId}" value="${escapeHtml(defaultDevice)}" placeholder="Enter device ID">
+                            <label>${t('form.geotabDriver')}:</label>
+                            <input type="text" id="gt-driver-${deviceIdEscaped}" list="geotabDriversList" placeholder="${t('form.geotabDriverPlaceholder')}" autocomplete="off">
+                            <div class="credential-driver-current" id="current-driver-${deviceIdEscaped}"></div>
                         </div>
                         <div class="credential-form-group">
-                            <label>Ruckit Driver ID:</label>
-                            <input type="text" id="driver-${deviceId}" value="${escapeHtml(defaultDriver)}" placeholder="Enter driver ID">
+                            <label>${t('field.driver')}:</label>
+                            <input type="text" id="driver-${deviceIdEscaped}" value="${escapeHtml(defaultDriver)}" placeholder="${t('form.driverPlaceholder')}">
+                            <div class="credential-field-error" id="driver-error-${deviceIdEscaped}"></div>
+                            <div class="credential-driver-warning" id="driver-warning-${deviceIdEscaped}" style="display: none;"></div>
                         </div>
+                        <div class="credential-test-result" id="test-result-${deviceIdEscaped}" style="display: none;"></div>
                         <div class="credential-form-actions">
                             ${showClearButton ? `
-                                <button class="btn-credential btn-credential-clear" onclick="window.clearCredentials('${deviceIdEscaped}', '${deviceNameEscaped}')">
-                                    <i class="fas fa-trash me-1"></i>Clear
+                                <button class="btn-credential btn-credential-clear" data-action="clear-credentials" data-device-id="${deviceIdEscaped}">
+                                    <i class="fas fa-trash me-1"></i>${t('form.clear')}
                                 </button>
                             ` : ''}
-                            <button class="btn-credential btn-credential-cancel" onclick="window.cancelCredentialForm('${deviceIdEscaped}')">
-                                Cancel
+                            <button class="btn-credential btn-credential-cancel" data-action="cancel-form" data-device-id="${deviceIdEscaped}">
+                                ${t('common.cancel')}
                             </button>
-                            <button class="btn-credential btn-credential-save" onclick="window.saveCredentials('${deviceIdEscaped}', '${deviceNameEscaped}')">
-                                <i class="fas fa-save me-1"></i>Save
+                            <button class="btn-credential btn-credential-test" id="test-btn-${deviceIdEscaped}" data-action="test-connection" data-device-id="${deviceIdEscaped}">
+                                <i class="fas fa-plug me-1"></i>${t('form.test')}
+                            </button>
+                            <button class="btn-credential btn-credential-save" data-action="save-credentials" data-device-id="${deviceIdEscaped}">
+                                <i class="fas fa-save me-1"></i>${t('common.save')}
                             </button>
                         </div>
                     </div>
@@ -775,8 +1933,6 @@ geotab.addin.ruckitAssets = function () {
             </tr>
         `;
         
-        // Find the device row and insert form after it
-        const deviceRow = document.querySelector(`tr[data-device-id="${deviceId}"]`);
         if (deviceRow) {
             // Remove any existing form
             const existingForm = document.getElementById(`credential-form-row-${deviceId}`);
@@ -789,28 +1945,52 @@ geotab.addin.ruckitAssets = function () {
             if (credentialsRow) {
                 credentialsRow.style.display = 'none';
             }
+            expandedDeviceIds.delete(deviceId);
             
             deviceRow.insertAdjacentHTML('afterend', formHtml);
+            
+            // Check each field against the format rules as the user types
+            ['token', 'device', 'driver'].forEach(field => {
+                const input = document.getElementById(`${field}-${deviceId}`);
+                if (!input) return;
+                input.addEventListener('input', () => {
+                    input.classList.remove('is-invalid');
+                    const errorEl = document.getElementById(`${field}-error-${deviceId}`);
+                    if (errorEl) errorEl.textContent = '';
+                    
+                    const value = input.value.trim();
+                    const message = value ? validateFieldFormat(field, value) : null;
+                    if (message) {
+                        setFieldError(deviceId, field, message);
+                    }
+                });
+            });
+            
+            setupDriverPicker(deviceId, defaultDriver);
         }
-    };
+    }
 
     /**
      * Cancel credential form
      */
-    window.cancelCredentialForm = function(deviceId) {
+    function cancelCredentialForm(deviceId) {
         const formRow = document.getElementById(`credential-form-row-${deviceId}`);
         if (formRow) {
             formRow.remove();
         }
-        editingDeviceId = null;
-    };
+        delete pendingConflicts[deviceId];
+        delete formTestResults[deviceId];
+        delete openCredentialForms[deviceId];
+        flushLiveRefresh();
+    }
 
     /**
      * Validate credentials are not already in use
+     * @returns {{field: string|null, message: string}|null} The first duplicate found, or null
      */
-    async function validateCredentials(token, device, driver, currentDeviceId) {
+    async function validateCredentials(token, device, driver, currentDeviceId, mappings = activeMappingsData) {
         try {
-            for (const mapping of assetsData) {
+            for (const mapping of mappings) {
                 if (!mapping.details) continue;
                 
                 const gtDevice = mapping.details['gt-device'];
@@ -821,152 +2001,4701 @@ geotab.addin.ruckitAssets = function () {
                 const existingToken = mapping.details['ri-token'];
                 const existingDevice = mapping.details['ri-device'];
                 const existingDriver = mapping.details['ri-driver'];
-                const deviceName = mapping.details['name'] || 'Unknown Device';
+                const deviceName = mapping.details['name'] || t('common.unknownDevice');
                 
                 // Skip placeholder values
                 if (existingToken === 'TOKEN' || existingDevice === 'DeviceID' || existingDriver === 'DriverID') {
                     continue;
                 }
                 
-                if (existingToken === token) {
-                    return `Token "${token}" is already in use by device "${deviceName}"`;
+                if (existingToken === token && !settings.allowSharedTokens) {
+                    return { field: 'token', message: t('validation.tokenInUse', { value: token, device: deviceName }) };
                 }
                 
                 if (existingDevice === device) {
-                    return `Device ID "${device}" is already in use by device "${deviceName}"`;
+                    return { field: 'device', message: t('validation.deviceInUse', { value: device, device: deviceName }) };
                 }
                 
                 if (existingDriver === driver) {
-                    return `Driver ID "${driver}" is already in use by device "${deviceName}"`;
+                    return { field: 'driver', message: t('validation.driverInUse', { value: driver, device: deviceName }) };
                 }
             }
             
             return null;
         } catch (error) {
             console.error('Error validating credentials:', error);
-            return 'Error validating credentials';
+            return { field: null, message: t('validation.error') };
         }
     }
 
     /**
-     * Save credentials
+     * Get the admin-configured format rule for a credential field
      */
-    window.saveCredentials = async function(deviceId, deviceName) {
-        const tokenInput = document.getElementById(`token-${deviceId}`);
-        const deviceInput = document.getElementById(`device-${deviceId}`);
-        const driverInput = document.getElementById(`driver-${deviceId}`);
-        
-        const token = tokenInput.value.trim();
-        const device = deviceInput.value.trim();
-        const driver = driverInput.value.trim();
+    function getValidationRule(field) {
+        const rules = settings.validationRules || DEFAULT_SETTINGS.validationRules;
+        return rules[field] || {};
+    }
+
+    /**
+     * Check a credential value against its field's format rule. Returns an error message or null.
+     */
+    function validateFieldFormat(field, value) {
+        const rule = getValidationRule(field);
+        const labelKey = (CONFLICT_FIELDS.find(([name]) => name === field) || [])[2];
+        const label = labelKey ? t(labelKey) : field;
+        
+        if (rule.prefix && !value.startsWith(rule.prefix)) {
+            return t('validation.prefix', { label, prefix: rule.prefix });
+        }
+        if (rule.minLength && value.length < rule.minLength) {
+            return t('validation.minLength', { label, count: rule.minLength });
+        }
+        if (rule.maxLength && value.length > rule.maxLength) {
+            return t('validation.maxLength', { label, count: rule.maxLength });
+        }
+        
+        const charset = VALIDATION_CHARSETS[rule.charset];
+        if (charset && charset.pattern && !charset.pattern.test(value)) {
+            return t('validation.charset', { label, charset: t(charset.labelKey) });
+        }
+        
+        if (rule.pattern) {
+            try {
+                if (!new RegExp(rule.pattern).test(value)) {
+                    return t('validation.pattern', { label });
+                }
+            } catch (error) {
+                console.warn(`Ignoring invalid ${field} pattern:`, rule.pattern);
+            }
+        }
+        
+        return null;
+    }
+
+    /**
+     * Check all credential values against the format rules. Returns the first {field, message} error or null.
+     */
+    function validateCredentialFormat(values) {
+        for (const field of ['token', 'device', 'driver']) {
+            const message = validateFieldFormat(field, values[field] || '');
+            if (message) {
+                return { field, message };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Get a device's serial number, using the loaded device list when possible
+     */
+    async function getDeviceSerialNumber(deviceId) {
+        const device = devicesById.get(deviceId);
+        if (device) {
+            return device.serialNumber || '';
+        }
+        
+        const devices = await makeGeotabCall("Get", "Device", { search: { id: deviceId } });
+        return devices && devices[0] ? devices[0].serialNumber || '' : '';
+    }
+
+    /**
+     * Build an AddInData entity for a Ruckit mapping
+     */
+    function buildMappingEntity(deviceId, deviceName, serialNumber, token, device, driver, existingMapping) {
+        const mappingData = {
+            addInId: ADDIN_ID,
+            details: {
+                'date': new Date().toISOString(),
+                'gt-device': deviceId,
+                'name': deviceName,
+                'gt-sn': serialNumber,
+                'ri-token': token,
+                'ri-device': device,
+                'ri-driver': driver,
+                'type': 'ri-device'
+            },
+            id: null
+        };
+
+        if (existingMapping) {
+            mappingData.id = existingMapping.id;
+            mappingData.version = existingMapping.version;
+        }
+
+        return mappingData;
+    }
+
+    /**
+     * Save credentials
+     */
+    async function saveCredentials(deviceId, deviceName) {
+        const tokenInput = document.getElementById(`token-${deviceId}`);
+        const deviceInput = document.getElementById(`device-${deviceId}`);
+        const driverInput = document.getElementById(`driver-${deviceId}`);
+        
+        const token = tokenInput.value.trim() || getStoredToken(deviceId);
+        const device = deviceInput.value.trim();
+        const driver = driverInput.value.trim();
+        
+        clearFormErrors(deviceId);
+        
+        const values = { token, device, driver };
+        const selectedDriver = getSelectedGeotabDriver(deviceId);
+        const placeholders = { token: 'TOKEN', device: 'DeviceID', driver: 'DriverID' };
+        
+        const emptyFields = Object.keys(values).filter(field => !values[field]);
+        if (emptyFields.length > 0) {
+            emptyFields.forEach(field => setFieldError(deviceId, field, t('validation.required')));
+            showAlert(t('validation.fillAllFields'), 'danger');
+            return;
+        }
+        
+        const placeholderFields = Object.keys(values).filter(field => values[field] === placeholders[field]);
+        if (placeholderFields.length > 0) {
+            placeholderFields.forEach(field => setFieldError(deviceId, field, t('validation.placeholderField')));
+            showAlert(t('validation.placeholders'), 'danger');
+            return;
+        }
+        
+        const formatError = validateCredentialFormat(values);
+        if (formatError) {
+            setFieldError(deviceId, formatError.field, formatError.message);
+            showAlert(formatError.message, 'danger');
+            return;
+        }
+        
+        try {
+            // Validate credentials
+            const validationError = await validateCredentials(token, device, driver, deviceId);
+            if (validationError) {
+                if (validationError.field) {
+                    setFieldError(deviceId, validationError.field, validationError.message);
+                } else {
+                    setFormError(deviceId, validationError.message);
+                }
+                showAlert(validationError.message, 'danger');
+                return;
+            }
+            
+            // Compare against the version the form was opened with, which may be older than the last refresh
+            const openForm = openCredentialForms[deviceId];
+            const existingMapping = openForm ? openForm.baseMapping : findExistingMappingForDevice(deviceId);
+            const saved = await persistCredentials(deviceId, deviceName, values, existingMapping);
+            
+            // Remember this Ruckit driver ID for the chosen Geotab driver
+            if (saved && selectedDriver) {
+                await rememberDriverMapping(selectedDriver, driver);
+            }
+            
+        } catch (error) {
+            console.error('Error saving credentials:', error);
+            setFormError(deviceId, t('save.error', { error: error.message }));
+            showAlert(t('save.error', { error: error.message }), 'danger');
+        }
+    }
+
+    /**
+     * Get the current stored version of a mapping
+     */
+    async function getMappingById(mappingId) {
+        const mappings = await makeGeotabCall("Get", "AddInData", { search: { id: mappingId } });
+        return mappings && mappings[0] ? mappings[0] : null;
+    }
+
+    /**
+     * Write credentials for a device. If the mapping changed since it was loaded,
+     * the merge dialog is shown instead and nothing is written.
+     */
+    async function persistCredentials(deviceId, deviceName, values, baseMapping) {
+        let targetMapping = baseMapping;
+        
+        if (baseMapping) {
+            const currentMapping = await getMappingById(baseMapping.id);
+            if (currentMapping && currentMapping.version !== baseMapping.version) {
+                showConflictDialog(deviceId, deviceName, values, baseMapping, currentMapping);
+                return false;
+            }
+            if (!currentMapping) {
+                // Removed by someone else since it was loaded; recreate it
+                targetMapping = null;
+            }
+        }
+        
+        // Get device info for serial number
+        const serialNumber = await getDeviceSerialNumber(deviceId);
+        const mappingData = buildMappingEntity(deviceId, deviceName, serialNumber, values.token, values.device, values.driver, targetMapping);
+        
+        try {
+            if (targetMapping) {
+                await makeGeotabCall("Set", "AddInData", { entity: mappingData });
+            } else {
+                await makeGeotabCall("Add", "AddInData", { entity: mappingData });
+            }
+        } catch (error) {
+            // Another user may have saved between our version check and the Set
+            if (targetMapping) {
+                const currentMapping = await getMappingById(targetMapping.id);
+                if (currentMapping && currentMapping.version !== targetMapping.version) {
+                    showConflictDialog(deviceId, deviceName, values, baseMapping, currentMapping);
+                    return false;
+                }
+            }
+            throw error;
+        }
+        
+        await writeAuditRecords([{
+            action: 'save',
+            deviceId: deviceId,
+            before: targetMapping ? targetMapping.details : null,
+            after: mappingData.details
+        }]);
+        
+        // New credentials have not been verified yet, unless they were just tested in the form
+        verificationResults[deviceId] = formTestResults[deviceId] &&
+            formTestResults[deviceId].key === [values.token, values.device, values.driver].join('|')
+            ? formTestResults[deviceId].result
+            : undefined;
+        delete formTestResults[deviceId];
+        
+        showAlert(t('save.success'), 'success');
+        cancelCredentialForm(deviceId);
+        
+        // Reload data
+        await loadRuckitAssets();
+        return true;
+    }
+
+    const CONFLICT_FIELDS = [
+        ['token', 'ri-token', 'field.token'],
+        ['device', 'ri-device', 'field.device'],
+        ['driver', 'ri-driver', 'field.driver']
+    ];
+
+    /**
+     * Show a side-by-side diff of the stored mapping (theirs) and the form values (mine)
+     */
+    function showConflictDialog(deviceId, deviceName, values, baseMapping, currentMapping) {
+        pendingConflicts[deviceId] = { deviceName, values, baseMapping, currentMapping };
+        
+        const theirs = currentMapping.details || {};
+        const base = baseMapping.details || {};
+        
+        const rows = CONFLICT_FIELDS.map(([field, key, labelKey]) => {
+            const label = escapeHtml(t(labelKey));
+            const theirValue = theirs[key] || '';
+            const myValue = values[field];
+            const display = value => field === 'token' ? maskToken(value) : value;
+            
+            if (theirValue === myValue) {
+                return `
+                    <tr>
+                        <td>${label}</td>
+                        <td colspan="2" class="conflict-same">${escapeHtml(display(myValue))}</td>
+                    </tr>
+                `;
+            }
+            
+            // Default to my value only if I actually changed the field
+            const preferMine = myValue !== (base[key] || '');
+            return `
+                <tr class="conflict-differs">
+                    <td>${label}</td>
+                    <td>
+                        <label class="conflict-choice">
+                            <input type="radio" name="conflict-${field}-${escapeHtml(deviceId)}" value="theirs" ${preferMine ? '' : 'checked'}>
+                            ${escapeHtml(display(theirValue))}
+                        </label>
+                    </td>
+                    <td>
+                        <label class="conflict-choice">
+                            <input type="radio" name="conflict-${field}-${escapeHtml(deviceId)}" value="mine" ${preferMine ? 'checked' : ''}>
+                            ${escapeHtml(display(myValue))}
+                        </label>
+                    </td>
+                </tr>
+            `;
+        }).join('');
+        
+        const changedAt = theirs.date ? formatDate(theirs.date, true) : t('conflict.recently');
+        const deviceIdEscaped = escapeHtml(deviceId);
+        
+        const panelHtml = `
+            <div class="conflict-panel" id="conflict-${deviceIdEscaped}">
+                <div class="conflict-header">
+                    <i class="fas fa-code-branch me-2"></i>
+                    ${escapeHtml(t('conflict.changedByOther', { date: changedAt }))}
+                </div>
+                <table class="conflict-table">
+                    <thead>
+                        <tr>
+                            <th>${t('conflict.field')}</th>
+                            <th>${t('conflict.theirs')}</th>
+                            <th>${t('conflict.mine')}</th>
+                        </tr>
+                    </thead>
+                    <tbody>${rows}</tbody>
+                </table>
+                <div class="credential-form-actions">
+                    <button class="btn-credential btn-credential-cancel" data-action="resolve-conflict" data-mode="theirs" data-device-id="${deviceIdEscaped}">
+                        ${t('conflict.keepTheirs')}
+                    </button>
+                    <button class="btn-credential btn-credential-clear" data-action="resolve-conflict" data-mode="mine" data-device-id="${deviceIdEscaped}">
+                        ${t('conflict.overwrite')}
+                    </button>
+                    <button class="btn-credential btn-credential-save" data-action="resolve-conflict" data-mode="merge" data-device-id="${deviceIdEscaped}">
+                        <i class="fas fa-code-merge me-1"></i>${t('conflict.merge')}
+                    </button>
+                </div>
+            </div>
+        `;
+        
+        const existingPanel = document.getElementById(`conflict-${deviceId}`);
+        if (existingPanel) {
+            existingPanel.remove();
+        }
+        
+        const formRow = document.getElementById(`credential-form-row-${deviceId}`);
+        const form = formRow && formRow.querySelector('.credential-form');
+        if (form) {
+            form.insertAdjacentHTML('beforeend', panelHtml);
+        }
+        
+        showAlert(t('conflict.alert', { device: deviceName }), 'warning');
+    }
+
+    /**
+     * Resolve a save conflict: keep theirs, overwrite with mine, or merge field by field
+     */
+    async function resolveConflict(deviceId, mode) {
+        const conflict = pendingConflicts[deviceId];
+        if (!conflict) return;
+        
+        delete pendingConflicts[deviceId];
+        
+        if (mode === 'theirs') {
+            cancelCredentialForm(deviceId);
+            await loadRuckitAssets();
+            return;
+        }
+        
+        const theirs = conflict.currentMapping.details || {};
+        const values = { ...conflict.values };
+        
+        if (mode === 'merge') {
+            CONFLICT_FIELDS.forEach(([field, key]) => {
+                const choice = document.querySelector(`input[name="${CSS.escape(`conflict-${field}-${deviceId}`)}"]:checked`);
+                if (choice && choice.value === 'theirs') {
+                    values[field] = theirs[key] || '';
+                }
+            });
+        }
+        
+        const conflictPanel = document.getElementById(`conflict-${deviceId}`);
+        if (conflictPanel) {
+            conflictPanel.remove();
+        }
+        if (openCredentialForms[deviceId]) {
+            openCredentialForms[deviceId].baseMapping = conflict.currentMapping;
+        }
+        
+        try {
+            const validationError = await validateCredentials(values.token, values.device, values.driver, deviceId);
+            if (validationError) {
+                setFormError(deviceId, validationError.message);
+                showAlert(validationError.message, 'danger');
+                return;
+            }
+            
+            // Retry against the version we just compared with
+            const selectedDriver = getSelectedGeotabDriver(deviceId);
+            const saved = await persistCredentials(deviceId, conflict.deviceName, values, conflict.currentMapping);
+            if (saved && selectedDriver) {
+                await rememberDriverMapping(selectedDriver, values.driver);
+            }
+        } catch (error) {
+            console.error('Error saving credentials:', error);
+            setFormError(deviceId, t('save.error', { error: error.message }));
+            showAlert(t('save.error', { error: error.message }), 'danger');
+        }
+    }
+
+    /**
+     * Clear credentials
+     */
+    async function clearCredentials(deviceId, deviceName) {
+        if (!confirm(t('clear.confirm', { device: deviceName }))) {
+            return;
+        }
+        
+        try {
+            const existingMapping = findExistingMappingForDevice(deviceId);
+            
+            if (!existingMapping) {
+                showAlert(t('clear.noMapping'), 'info');
+                return;
+            }
+            
+            // Don't clear credentials someone else has just changed without showing them first
+            const currentMapping = await getMappingById(existingMapping.id);
+            if (currentMapping && currentMapping.version !== existingMapping.version) {
+                showAlert(t('clear.conflict', { device: deviceName }), 'warning', { sticky: true });
+                cancelCredentialForm(deviceId);
+                await loadRuckitAssets();
+                return;
+            }
+            
+            const serialNumber = await getDeviceSerialNumber(deviceId);
+            
+            const mappingData = buildMappingEntity(deviceId, deviceName, serialNumber, 'TOKEN', 'DeviceID', 'DriverID', existingMapping);
+            
+            await makeGeotabCall("Set", "AddInData", { entity: mappingData });
+            
+            await writeAuditRecords([{
+                action: 'clear',
+                deviceId: deviceId,
+                before: existingMapping.details,
+                after: mappingData.details
+            }]);
+            
+            showAlert(t('clear.success'), 'success');
+            
+            // Close the form
+            cancelCredentialForm(deviceId);
+            
+            // Reload data
+            await loadRuckitAssets();
+            
+        } catch (error) {
+            console.error('Error clearing credentials:', error);
+            setFormError(deviceId, t('clear.error', { error: error.message }));
+            showAlert(t('clear.error', { error: error.message }), 'danger');
+        }
+    }
+
+    /**
+     * Label a transfer target in the picker, with its serial number to tell same-named assets apart
+     */
+    function getTransferTargetLabel(device) {
+        const name = device.name || device.id;
+        return device.serialNumber ? `${name} (${device.serialNumber})` : name;
+    }
+
+    /**
+     * Show the transfer panel for moving a mapping's Ruckit credentials to another asset
+     */
+    function showTransferPanel(mapping) {
+        if (!mappingHasCredentials(mapping)) {
+            showAlert(t('transfer.noCredentials'), 'info');
+            return;
+        }
+        
+        transferSource = mapping;
+        const details = mapping.details;
+        
+        // Any asset in scope without credentials can receive them
+        const targets = allDevicesData.filter(device => device.id !== details['gt-device'] && !deviceHasCredentials(device.id));
+        transferTargetOptions = new Map(targets.map(device => [getTransferTargetLabel(device), device]));
+        
+        const datalist = document.getElementById('transferTargetsList');
+        if (datalist) {
+            datalist.innerHTML = [...transferTargetOptions.keys()].map(label => `<option value="${escapeHtml(label)}"></option>`).join('');
+        }
+        
+        const sourceEl = document.getElementById('transferSource');
+        if (sourceEl) {
+            sourceEl.innerHTML = `
+                <div class="credential-details-row">
+                    <span class="credential-details-label">${t('transfer.from')}:</span>
+                    <span class="credential-details-value">${escapeHtml(details.name || details['gt-device'])}${details['gt-sn'] ? ` (${escapeHtml(details['gt-sn'])})` : ''}</span>
+                </div>
+                <div class="credential-details-row">
+                    <span class="credential-details-label">${t('field.token')}:</span>
+                    <span class="credential-details-value">${escapeHtml(maskToken(details['ri-token']))}</span>
+                </div>
+                <div class="credential-details-row">
+                    <span class="credential-details-label">${t('field.device')}:</span>
+                    <span class="credential-details-value">${escapeHtml(details['ri-device'])}</span>
+                </div>
+                <div class="credential-details-row">
+                    <span class="credential-details-label">${t('field.driver')}:</span>
+                    <span class="credential-details-value">${escapeHtml(details['ri-driver'])}</span>
+                </div>
+            `;
+        }
+        
+        const targetInput = document.getElementById('transferTargetInput');
+        if (targetInput) targetInput.value = '';
+        
+        const transferPanel = document.getElementById('transferPanel');
+        if (transferPanel) transferPanel.style.display = 'block';
+        if (targetInput) targetInput.focus();
+    }
+
+    /**
+     * Hide the transfer panel
+     */
+    function hideTransferPanel() {
+        transferSource = null;
+        transferTargetOptions = new Map();
+        const transferPanel = document.getElementById('transferPanel');
+        if (transferPanel) transferPanel.style.display = 'none';
+    }
+
+    /**
+     * Find the asset picked in the transfer panel, by picker label or by an exact name or serial number
+     */
+    function resolveTransferTarget(value) {
+        if (transferTargetOptions.has(value)) {
+            return transferTargetOptions.get(value);
+        }
+        
+        const term = value.toLowerCase();
+        const matches = [...transferTargetOptions.values()].filter(device =>
+            (device.name || '').toLowerCase() === term || (device.serialNumber || '').toLowerCase() === term
+        );
+        return matches.length === 1 ? matches[0] : null;
+    }
+
+    /**
+     * Transfer the credentials shown in the transfer panel to the picked asset
+     */
+    async function applyTransfer() {
+        const source = transferSource;
+        if (!source) return;
+        
+        const targetInput = document.getElementById('transferTargetInput');
+        const target = resolveTransferTarget(targetInput ? targetInput.value.trim() : '');
+        if (!target) {
+            showAlert(t('transfer.pickTarget'), 'danger');
+            return;
+        }
+        
+        const sourceName = source.details.name || source.details['gt-device'];
+        if (!confirm(t('transfer.confirm', { source: sourceName, target: target.name }))) {
+            return;
+        }
+        
+        setButtonLoading('transferApplyBtn', true);
+        try {
+            await transferCredentials(source, target);
+            hideTransferPanel();
+            showAlert(t('transfer.success', { source: sourceName, target: target.name }), 'success');
+        } catch (error) {
+            console.error('Error transferring credentials:', error);
+            showAlert(error.message, 'danger', { sticky: true });
+            return;
+        } finally {
+            setButtonLoading('transferApplyBtn', false);
+        }
+        
+        await loadRuckitAssets();
+        
+        // The source may have been picked from the cleanup list
+        const cleanupPanel = document.getElementById('cleanupPanel');
+        if (cleanupPanel && cleanupPanel.style.display === 'block') {
+            await showCleanupPanel();
+        }
+    }
+
+    /**
+     * Move a mapping's Ruckit credentials to another device: write them to the target, then clear the source.
+     * If the source can't be cleared the target is put back as it was, so the credentials never end up on both.
+     * Throws with a message for the user when nothing was changed.
+     */
+    async function transferCredentials(source, target) {
+        const sourceDetails = source.details;
+        const sourceId = sourceDetails['gt-device'];
+        
+        // Don't move credentials someone else has just changed
+        const currentSource = await getMappingById(source.id);
+        if (!currentSource || currentSource.version !== source.version) {
+            throw new Error(t('transfer.sourceChanged', { source: sourceDetails.name || sourceId }));
+        }
+        
+        const targetMapping = findExistingMappingForDevice(target.id);
+        if (mappingHasCredentials(targetMapping)) {
+            throw new Error(t('transfer.targetHasCredentials', { device: target.name }));
+        }
+        if (targetMapping) {
+            const currentTarget = await getMappingById(targetMapping.id);
+            if (currentTarget && currentTarget.version !== targetMapping.version) {
+                throw new Error(t('transfer.targetChanged', { device: target.name }));
+            }
+        }
+        
+        // The target keeps its own name and serial number
+        const serialNumber = await getDeviceSerialNumber(target.id);
+        const targetEntity = buildMappingEntity(
+            target.id,
+            target.name,
+            serialNumber,
+            sourceDetails['ri-token'],
+            sourceDetails['ri-device'],
+            sourceDetails['ri-driver'],
+            targetMapping
+        );
+        const clearedSource = {
+            ...source,
+            details: {
+                ...sourceDetails,
+                'ri-token': 'TOKEN',
+                'ri-device': 'DeviceID',
+                'ri-driver': 'DriverID',
+                'date': new Date().toISOString()
+            }
+        };
+        
+        let addedTargetId = null;
+        if (targetMapping) {
+            await makeGeotabCall("Set", "AddInData", { entity: targetEntity });
+        } else {
+            addedTargetId = await makeGeotabCall("Add", "AddInData", { entity: targetEntity });
+        }
+        
+        try {
+            await makeGeotabCall("Set", "AddInData", { entity: clearedSource });
+        } catch (error) {
+            console.error('Error clearing the transfer source, rolling back:', error);
+            try {
+                if (addedTargetId) {
+                    await makeGeotabCall("Remove", "AddInData", { entity: { ...targetEntity, id: addedTargetId } });
+                } else {
+                    const writtenTarget = await getMappingById(targetMapping.id);
+                    await makeGeotabCall("Set", "AddInData", { entity: { ...writtenTarget, details: targetMapping.details } });
+                }
+            } catch (rollbackError) {
+                console.error('Error rolling back the transfer:', rollbackError);
+                throw new Error(t('transfer.rollbackFailed', { source: sourceDetails.name || sourceId, target: target.name, error: error.message }));
+            }
+            throw new Error(t('transfer.rolledBack', { error: error.message }));
+        }
+        
+        await writeAuditRecords([
+            {
+                action: 'transfer',
+                deviceId: sourceId,
+                before: sourceDetails,
+                after: clearedSource.details,
+                note: `Credentials transferred to ${target.name} (${target.id})`
+            },
+            {
+                action: 'transfer',
+                deviceId: target.id,
+                before: targetMapping ? targetMapping.details : null,
+                after: targetEntity.details,
+                note: `Credentials transferred from ${sourceDetails.name || sourceId} (${sourceId})`
+            }
+        ]);
+        
+        // The credentials were not changed, so neither is their verification status
+        verificationResults[target.id] = verificationResults[sourceId];
+        delete verificationResults[sourceId];
+        expandedDeviceIds.delete(sourceId);
+        cancelCredentialForm(sourceId);
+        cancelCredentialForm(target.id);
+    }
+
+    /**
+     * Set each feed's version to the current one, so polling starts from now. GetFeed without a
+     * fromVersion starts at the oldest data the feed holds, so each feed is read forward, dropping
+     * the data, until a batch comes back empty. A failed feed is primed again on the next poll.
+     */
+    async function primeFeedVersions(typeNames = Object.keys(feedVersions)) {
+        const versions = {};
+        let pending = [...typeNames];
+        
+        while (pending.length > 0) {
+            const results = await makeGeotabMultiCall(pending.map(typeName => {
+                const parameters = { resultsLimit: FEED_RESULTS_LIMIT };
+                if (versions[typeName]) parameters.fromVersion = versions[typeName];
+                if (FEED_SEARCHES[typeName]) parameters.search = FEED_SEARCHES[typeName];
+                return ["GetFeed", typeName, parameters];
+            }));
+            
+            pending = pending.filter((typeName, index) => {
+                const { success, result, error } = results[index];
+                if (!success || !result?.toVersion) {
+                    console.warn(`Could not read the ${typeName} feed version:`, error);
+                    versions[typeName] = null;
+                    return false;
+                }
+                versions[typeName] = result.toVersion;
+                return (result.data || []).length > 0;
+            });
+        }
+        
+        typeNames.forEach(typeName => {
+            feedVersions[typeName] = versions[typeName];
+        });
+    }
+
+    /**
+     * Get everything that changed for a type since the stored feed version.
+     * The caller stores toVersion once it has used the entities.
+     * @returns {Promise<{entities: Array<object>, toVersion: string}>}
+     */
+    async function getFeedChanges(typeName) {
+        const entities = [];
+        let toVersion = feedVersions[typeName];
+        
+        while (true) {
+            const parameters = { fromVersion: toVersion, resultsLimit: FEED_RESULTS_LIMIT };
+            if (FEED_SEARCHES[typeName]) parameters.search = FEED_SEARCHES[typeName];
+            
+            const feed = await makeGeotabCall("GetFeed", typeName, parameters) || {};
+            const data = feed.data || [];
+            entities.push(...data);
+            toVersion = feed.toVersion || toVersion;
+            
+            if (data.length < FEED_RESULTS_LIMIT) break;
+        }
+        
+        return { entities, toVersion };
+    }
+
+    /**
+     * Put feed entities into a list, replacing the stored copy by id or appending new ones
+     * @returns {Array<{entity: object, previous: object|null}>} The entities that are new or differ from the stored copy
+     */
+    function mergeFeedEntities(list, entities) {
+        const indexById = new Map(list.map((entity, index) => [entity.id, index]));
+        const changes = [];
+        
+        entities.forEach(entity => {
+            const index = indexById.get(entity.id);
+            if (index === undefined) {
+                indexById.set(entity.id, list.length);
+                list.push(entity);
+                changes.push({ entity, previous: null });
+            } else if (JSON.stringify(list[index]) !== JSON.stringify(entity)) {
+                changes.push({ entity, previous: list[index] });
+                list[index] = entity;
+            }
+        });
+        
+        return changes;
+    }
+
+    /**
+     * Read the Device and AddInData feeds and patch other users' changes into the tables.
+     * The feeds don't report removed records; those disappear on the next full load.
+     */
+    async function pollLiveUpdates() {
+        if (!api || loadingAssets || bulkActionRunning || document.hidden) return;
+        
+        // A feed without a version has nothing to compare against yet
+        const unprimed = Object.keys(feedVersions).filter(typeName => !feedVersions[typeName]);
+        if (unprimed.length > 0) {
+            await primeFeedVersions(unprimed);
+            return;
+        }
+        
+        const generation = loadGeneration;
+        const deviceFeed = await getFeedChanges("Device");
+        const mappingFeed = await getFeedChanges("AddInData");
+        
+        // A full load started while the feeds were read already has these changes, and newer
+        // copies of the records than the feeds returned; it also started the feeds afresh
+        if (generation !== loadGeneration || loadingAssets) return;
+        
+        feedVersions.Device = deviceFeed.toVersion;
+        feedVersions.AddInData = mappingFeed.toVersion;
+        
+        // Merge into the current lists after the reads, so nothing changed meanwhile is overwritten
+        const devices = [...loadedDevicesData];
+        const mappings = [...ruckitMappingsData];
+        const changedDeviceIds = new Set();
+        
+        // Renames only change what is shown; the next full load updates the stored names
+        mergeFeedEntities(devices, deviceFeed.entities)
+            .forEach(({ entity }) => changedDeviceIds.add(entity.id));
+        
+        mergeFeedEntities(mappings, mappingFeed.entities).forEach(({ entity, previous }) => {
+            changedDeviceIds.add(entity.details['gt-device']);
+            if (previous) changedDeviceIds.add(previous.details?.['gt-device']);
+        });
+        changedDeviceIds.delete(undefined);
+        
+        if (changedDeviceIds.size === 0) return;
+        
+        console.log(`Live update: ${changedDeviceIds.size} asset(s) changed`);
+        applyLoadedData(devices, mappings);
+        renderLiveChanges(changedDeviceIds);
+    }
+
+    /**
+     * Show feed changes in the tables. While a credential form is open only the rows already on
+     * screen are replaced, so the form keeps its focus and typed values; anything that has to add,
+     * remove or move rows waits until the last form closes.
+     */
+    function renderLiveChanges(changedDeviceIds) {
+        // Saving a form whose asset changed underneath it goes through the conflict dialog
+        Object.entries(openCredentialForms).forEach(([deviceId, openForm]) => {
+            if (!changedDeviceIds.has(deviceId)) return;
+            
+            const currentMapping = findExistingMappingForDevice(deviceId);
+            if (currentMapping?.version !== openForm.baseMapping?.version) {
+                showAlert(t('live.formChanged', { device: openForm.deviceName }), 'warning');
+            }
+        });
+        
+        if (Object.keys(openCredentialForms).length === 0) {
+            applyAllDevicesFilters();
+            applyFilters();
+        } else {
+            ['all', 'ruckit'].forEach(table => {
+                if (!patchRenderedRows(table, changedDeviceIds)) {
+                    liveRefreshPending = true;
+                }
+            });
+        }
+        
+        highlightChangedRows(changedDeviceIds);
+        renderCoverageDashboard();
+    }
+
+    /**
+     * Re-render the rows of changed assets where they are in a table
+     * @returns {boolean} False if rows would have to be added or removed, which takes a full render
+     */
+    function patchRenderedRows(table, changedDeviceIds) {
+        const tableBody = document.getElementById(BULK_ELEMENT_IDS[table].body);
+        if (!tableBody) return true;
+        
+        let complete = true;
+        changedDeviceIds.forEach(deviceId => {
+            const row = tableBody.querySelector(`tr[data-device-id="${CSS.escape(deviceId)}"]`);
+            let item = null;
+            if (table === 'all') {
+                const device = devicesById.get(deviceId);
+                const belongs = device && allDevicesData.includes(device) && !deviceHasCredentials(deviceId);
+                item = belongs && filterAllDevicesBySearch([device], searchTermAll).length > 0 ? device : null;
+            } else {
+                const mapping = findExistingMappingForDevice(deviceId);
+                item = mapping && filterDataBySearch(filterPlaceholderEntries([mapping]), searchTermRuckit).length > 0 ? mapping : null;
+            }
+            
+            if (!row && !item) return;
+            if (!row || !item) {
+                complete = false;
+                return;
+            }
+            
+            const template = document.createElement('tbody');
+            template.innerHTML = table === 'all' ? renderAllDevicesRow(item) : renderAssetRows(item);
+            Array.from(template.children).forEach(newRow => {
+                const oldRow = newRow.id ? document.getElementById(newRow.id) : row;
+                if (oldRow) oldRow.replaceWith(newRow);
+            });
+        });
+        
+        return complete;
+    }
+
+    /**
+     * Briefly highlight the table rows of changed assets
+     */
+    function highlightChangedRows(deviceIds) {
+        deviceIds.forEach(deviceId => {
+            const selector = `tr[data-device-id="${CSS.escape(deviceId)}"]`;
+            document.querySelectorAll(`#allAssetsTableBody ${selector}, #ruckitAssetsTableBody ${selector}`).forEach(row => {
+                row.classList.add('live-updated');
+                setTimeout(() => row.classList.remove('live-updated'), LIVE_HIGHLIGHT_MS);
+            });
+        });
+    }
+
+    /**
+     * Render the tables if live changes were held back while a credential form was open
+     */
+    function flushLiveRefresh() {
+        if (!liveRefreshPending || Object.keys(openCredentialForms).length > 0) return;
+        
+        liveRefreshPending = false;
+        applyAllDevicesFilters();
+        applyFilters();
+    }
+
+    /**
+     * Poll the feeds every LIVE_UPDATE_INTERVAL_MS until stopLiveUpdates() is called
+     */
+    function startLiveUpdates() {
+        stopLiveUpdates();
+        const generation = liveUpdateGeneration;
+        
+        const schedule = () => {
+            liveUpdateTimer = setTimeout(async () => {
+                try {
+                    await pollLiveUpdates();
+                } catch (error) {
+                    console.warn('Live update failed, trying again on the next poll:', error);
+                }
+                if (generation === liveUpdateGeneration) {
+                    schedule();
+                }
+            }, LIVE_UPDATE_INTERVAL_MS);
+        };
+        schedule();
+    }
+
+    /**
+     * Stop polling the feeds. The feed versions are kept so the next start carries on from them.
+     */
+    function stopLiveUpdates() {
+        liveUpdateGeneration++;
+        clearTimeout(liveUpdateTimer);
+        liveUpdateTimer = null;
+    }
+
+    /**
+     * Parse CSV text into an array of rows (handles quoted fields)
+     */
+    function parseCsv(text) {
+        const rows = [];
+        let row = [];
+        let field = '';
+        let inQuotes = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (inQuotes) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === ',') {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+
+        if (field || row.length > 0) {
+            row.push(field);
+            rows.push(row);
+        }
+
+        // Drop blank lines
+        return rows.filter(r => r.some(value => value.trim()));
+    }
+
+    /**
+     * Convert parsed CSV rows into import records (asset, token, device, driver)
+     */
+    function csvRowsToImportRecords(rows) {
+        if (rows.length === 0) return [];
+
+        let columns = { asset: 0, token: 1, device: 2, driver: 3 };
+        let startIndex = 0;
+
+        // Use the header row for column positions when present
+        const header = rows[0].map(value => value.trim().toLowerCase());
+        if (header.some(value => value.includes('token'))) {
+            const findColumn = (...names) => header.findIndex(value => names.some(name => value.includes(name)));
+            // Prefer an explicit Ruckit device column over a Geotab one (e.g. files written by export)
+            const ruckitDeviceColumn = findColumn('ruckit device', 'ri-device');
+            columns = {
+                asset: findColumn('asset', 'name', 'serial'),
+                token: findColumn('token'),
+                device: ruckitDeviceColumn >= 0 ? ruckitDeviceColumn : findColumn('device'),
+                driver: findColumn('driver')
+            };
+            startIndex = 1;
+        }
+
+        // Drop the ' that csvEscape puts in front of formula-like values
+        const cell = (row, column) => (row[column] || '').trim().replace(/^'(?=[=+\-@])/, '');
+        
+        return rows.slice(startIndex).map((row, index) => ({
+            line: index + startIndex + 1,
+            asset: cell(row, columns.asset),
+            token: cell(row, columns.token),
+            device: cell(row, columns.device),
+            driver: cell(row, columns.driver)
+        }));
+    }
+
+    /**
+     * Find a Geotab device by name or serial number
+     */
+    function findDeviceByNameOrSerial(value) {
+        const term = value.toLowerCase();
+        return allDevicesData.find(device => (device.name || '').toLowerCase() === term) ||
+               allDevicesData.find(device => (device.serialNumber || '').toLowerCase() === term) ||
+               null;
+    }
+
+    /**
+     * Build the dry-run preview for import records
+     */
+    async function buildImportPreview(records) {
+        const preview = [];
+        // Mappings as they would look after the import, so rows are also checked against each other
+        const pendingMappings = [...activeMappingsData];
+        const seenDevices = new Set();
+
+        for (const record of records) {
+            const row = { ...record, status: 'new', message: '', geotabDevice: findDeviceByNameOrSerial(record.asset) };
+
+            if (!row.geotabDevice) {
+                row.status = 'unmatched';
+                row.message = t('import.unmatched', { asset: record.asset });
+                preview.push(row);
+                continue;
+            }
+
+            if (seenDevices.has(row.geotabDevice.id)) {
+                row.status = 'conflict';
+                row.message = t('import.duplicateAsset');
+                preview.push(row);
+                continue;
+            }
+
+            if (!record.token || !record.device || !record.driver) {
+                row.status = 'conflict';
+                row.message = t('import.missingValues');
+                preview.push(row);
+                continue;
+            }
+
+            if (record.token === 'TOKEN' || record.device === 'DeviceID' || record.driver === 'DriverID') {
+                row.status = 'conflict';
+                row.message = t('import.placeholders');
+                preview.push(row);
+                continue;
+            }
+
+            // Exports mask tokens by default, and importing one would overwrite the real token
+            if (record.token.includes(TOKEN_MASK_CHAR)) {
+                row.status = 'conflict';
+                row.message = t('import.maskedToken');
+                preview.push(row);
+                continue;
+            }
+
+            const formatError = validateCredentialFormat(record);
+            if (formatError) {
+                row.status = 'conflict';
+                row.message = formatError.message;
+                preview.push(row);
+                continue;
+            }
+
+            const validationError = await validateCredentials(record.token, record.device, record.driver, row.geotabDevice.id, pendingMappings);
+            if (validationError) {
+                row.status = 'conflict';
+                row.message = validationError.message;
+                preview.push(row);
+                continue;
+            }
+
+            const existingMapping = findExistingMappingForDevice(row.geotabDevice.id);
+            if (existingMapping && filterPlaceholderEntries([existingMapping]).length > 0) {
+                row.status = 'update';
+                row.message = t('import.replaces', { device: existingMapping.details['ri-device'], driver: existingMapping.details['ri-driver'] });
+            }
+
+            seenDevices.add(row.geotabDevice.id);
+            pendingMappings.push({
+                details: {
+                    'gt-device': row.geotabDevice.id,
+                    'name': row.geotabDevice.name,
+                    'ri-token': record.token,
+                    'ri-device': record.device,
+                    'ri-driver': record.driver
+                }
+            });
+            preview.push(row);
+        }
+
+        return preview;
+    }
+
+    /**
+     * Render the import preview table
+     */
+    function renderImportPreview() {
+        const tableBody = document.getElementById('importPreviewTableBody');
+        const summaryEl = document.getElementById('importSummary');
+        const applyBtn = document.getElementById('importApplyBtn');
+        if (!tableBody) return;
+
+        tableBody.innerHTML = importPreviewRows.map(row => `
+            <tr>
+                <td>${row.line}</td>
+                <td>${escapeHtml(row.asset)}</td>
+                <td>${row.geotabDevice ? escapeHtml(row.geotabDevice.name || row.geotabDevice.id) : '-'}</td>
+                <td><span class="import-status import-status-${row.status}">${t('import.status.' + row.status)}</span></td>
+                <td class="text-muted">${escapeHtml(row.message)}</td>
+            </tr>
+        `).join('');
+
+        const counts = { new: 0, update: 0, conflict: 0, unmatched: 0 };
+        importPreviewRows.forEach(row => counts[row.status]++);
+        const importable = counts.new + counts.update;
+
+        if (summaryEl) {
+            summaryEl.textContent = t('import.summary', counts);
+        }
+
+        if (applyBtn) {
+            applyBtn.disabled = importable === 0;
+            applyBtn.innerHTML = `<i class="fas fa-file-import me-1"></i>${t('import.apply', { count: importable })}`;
+        }
+    }
+
+    /**
+     * Show the import panel and open the file picker
+     */
+    function showImportPanel() {
+        const fileInput = document.getElementById('importFileInput');
+        if (fileInput) {
+            fileInput.value = '';
+            fileInput.click();
+        }
+    }
+
+    /**
+     * Hide the import panel and discard the preview
+     */
+    function cancelImport() {
+        importPreviewRows = [];
+        const importPanel = document.getElementById('importPanel');
+        if (importPanel) {
+            importPanel.style.display = 'none';
+        }
+    }
+
+    /**
+     * Read the selected CSV file and build a dry-run preview
+     */
+    async function handleImportFile(fileInput) {
+        const file = fileInput.files && fileInput.files[0];
+        if (!file) return;
+
+        try {
+            const text = await file.text();
+            const records = csvRowsToImportRecords(parseCsv(text));
+
+            if (records.length === 0) {
+                showAlert(t('import.noRows'), 'warning');
+                return;
+            }
+
+            importPreviewRows = await buildImportPreview(records);
+            renderImportPreview();
+
+            const fileNameEl = document.getElementById('importFileName');
+            if (fileNameEl) fileNameEl.textContent = file.name;
+
+            const importPanel = document.getElementById('importPanel');
+            if (importPanel) importPanel.style.display = 'block';
+        } catch (error) {
+            console.error('Error reading import file:', error);
+            showAlert(t('import.readError', { error: error.message }), 'danger');
+        }
+    }
+
+    /**
+     * Write all new/update rows from the preview to AddInData
+     */
+    async function applyImport() {
+        const rowsToImport = importPreviewRows.filter(row => row.status === 'new' || row.status === 'update');
+        if (rowsToImport.length === 0) return;
+
+        setButtonLoading('importApplyBtn', true);
+        let importedCount = 0;
+        const failedLines = [];
+
+        try {
+            const calls = rowsToImport.map(row => {
+                const existingMapping = findExistingMappingForDevice(row.geotabDevice.id);
+                const mappingData = buildMappingEntity(
+                    row.geotabDevice.id,
+                    row.geotabDevice.name,
+                    row.geotabDevice.serialNumber || '',
+                    row.token,
+                    row.device,
+                    row.driver,
+                    existingMapping
+                );
+                return [existingMapping ? "Set" : "Add", "AddInData", { entity: mappingData }];
+            });
+
+            const results = await makeGeotabMultiCall(calls);
+            const auditEntries = [];
+            results.forEach((result, index) => {
+                if (result.success) {
+                    importedCount++;
+                    const existingMapping = findExistingMappingForDevice(rowsToImport[index].geotabDevice.id);
+                    auditEntries.push({
+                        action: 'import',
+                        deviceId: rowsToImport[index].geotabDevice.id,
+                        before: existingMapping ? existingMapping.details : null,
+                        after: calls[index][2].entity.details,
+                        note: `Imported from CSV line ${rowsToImport[index].line}`
+                    });
+                } else {
+                    console.error(`Error importing line ${rowsToImport[index].line}:`, result.error);
+                    failedLines.push(rowsToImport[index].line);
+                }
+            });
+            await writeAuditRecords(auditEntries);
+        } finally {
+            setButtonLoading('importApplyBtn', false);
+        }
+
+        cancelImport();
+
+        let message = t('import.imported', { count: importedCount });
+        if (failedLines.length > 0) {
+            message += ' ' + t('import.failedLines', { count: failedLines.length, lines: failedLines.join(', ') });
+        }
+        showAlert(message, failedLines.length > 0 ? 'warning' : 'success');
+
+        await loadRuckitAssets();
+    }
+
+    /**
+     * Normalize a serial number, VIN or plate for exact comparison
+     */
+    function normalizeIdentifier(value) {
+        return String(value || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+    }
+
+    /**
+     * Split an asset name into lowercase words and numbers. Leading zeros are dropped so "Truck 0012" matches "T-12".
+     */
+    function getNameTokens(value) {
+        return String(value || '')
+            .toLowerCase()
+            .split(/[^\p{L}\p{N}]+/u)
+            .filter(Boolean)
+            .map(token => /^\d+$/.test(token) ? String(Number(token)) : token);
+    }
+
+    /**
+     * Similarity of two asset names from 0 to 1 (Dice coefficient over character pairs).
+     * Names with different unit numbers never match, however similar the rest is.
+     */
+    function getNameSimilarity(tokensA, tokensB) {
+        const numbersA = tokensA.filter(token => /^\d+$/.test(token));
+        const numbersB = new Set(tokensB.filter(token => /^\d+$/.test(token)));
+        if (numbersA.length > 0 && numbersB.size > 0 && !numbersA.some(number => numbersB.has(number))) {
+            return 0;
+        }
+
+        const getPairs = tokens => {
+            const text = tokens.join(' ');
+            const pairs = new Map();
+            for (let i = 0; i < text.length - 1; i++) {
+                const pair = text.slice(i, i + 2);
+                pairs.set(pair, (pairs.get(pair) || 0) + 1);
+            }
+            return pairs;
+        };
+
+        const pairsA = getPairs(tokensA);
+        const pairsB = getPairs(tokensB);
+        let total = 0;
+        let shared = 0;
+        pairsA.forEach((count, pair) => {
+            total += count;
+            shared += Math.min(count, pairsB.get(pair) || 0);
+        });
+        pairsB.forEach(count => {
+            total += count;
+        });
+
+        return total > 0 ? (2 * shared) / total : 0;
+    }
+
+    /**
+     * Convert a roster file (CSV with a header row, or JSON) into roster records
+     */
+    function parseRosterFile(text, fileName) {
+        let header;
+        let rows;
+        let firstLine = 2;
+
+        if (/\.json$/i.test(fileName) || /^\s*[[{]/.test(text)) {
+            const parsed = JSON.parse(text);
+            const items = Array.isArray(parsed)
+                ? parsed
+                : Object.values(parsed).find(value => Array.isArray(value)) || [];
+            const objects = items.filter(item => item && typeof item === 'object');
+            header = [...new Set(objects.flatMap(item => Object.keys(item)))];
+            rows = objects.map(item => header.map(key => item[key] === undefined || item[key] === null ? '' : String(item[key])));
+            firstLine = 1;
+        } else {
+            const csvRows = parseCsv(text);
+            header = csvRows[0] || [];
+            rows = csvRows.slice(1);
+        }
+
+        // Match columns on normalized names, so "ruckit_device_id", "Device ID" and "deviceId" all work
+        const normalizedHeader = header.map(value => String(value).trim().replace(/([a-z])([A-Z])/g, '$1 $2').toLowerCase().replace(/[\s_-]+/g, ' '));
+        const usedColumns = new Set();
+        const findColumn = aliases => {
+            const matchers = [(value, alias) => value === alias, (value, alias) => value.includes(alias)];
+            for (const matches of matchers) {
+                for (const alias of aliases) {
+                    const index = normalizedHeader.findIndex((value, i) => !usedColumns.has(i) && matches(value, alias));
+                    if (index >= 0) {
+                        usedColumns.add(index);
+                        return index;
+                    }
+                }
+            }
+            return -1;
+        };
+
+        const columns = {};
+        Object.entries(ROSTER_COLUMN_ALIASES).forEach(([field, aliases]) => {
+            columns[field] = findColumn(aliases);
+        });
+
+        return rows.map((row, index) => {
+            const record = { line: index + firstLine };
+            Object.keys(columns).forEach(field => {
+                record[field] = columns[field] >= 0 ? String(row[columns[field]] || '').trim() : '';
+            });
+            return record;
+        }).filter(record => Object.keys(columns).some(field => record[field]));
+    }
+
+    /**
+     * Propose a Geotab asset without credentials for each roster truck. Every asset is proposed at most once,
+     * to the roster truck it matches best.
+     */
+    function buildRosterSuggestions(records) {
+        const candidates = allDevicesData.filter(device => !deviceHasCredentials(device.id));
+        const indexBy = getKey => {
+            const index = new Map();
+            candidates.forEach(device => {
+                const key = getKey(device);
+                if (!key) return;
+                if (!index.has(key)) index.set(key, []);
+                index.get(key).push(device);
+            });
+            return index;
+        };
+
+        const exactIndexes = [
+            ['serial', 100, indexBy(device => normalizeIdentifier(device.serialNumber))],
+            ['vin', 100, indexBy(device => normalizeIdentifier(device.vehicleIdentificationNumber))],
+            ['plate', 95, indexBy(device => normalizeIdentifier(device.licensePlate))],
+            ['name', 90, indexBy(device => getNameTokens(device.name).join(' '))]
+        ];
+        const deviceTokens = new Map(candidates.map(device => [device.id, getNameTokens(device.name)]));
+        const byToken = new Map();
+        deviceTokens.forEach((tokens, deviceId) => {
+            new Set(tokens).forEach(token => {
+                if (!byToken.has(token)) byToken.set(token, []);
+                byToken.get(token).push(deviceId);
+            });
+        });
+
+        const mappedRuckitDevices = new Map(filterPlaceholderEntries(activeMappingsData).map(mapping => [mapping.details['ri-device'], mapping]));
+        const seenRuckitDevices = new Set();
+        const proposals = [];
+
+        const suggestions = records.map((record, recordIndex) => {
+            const suggestion = { ...record, status: 'unmatched', message: '', geotabDevice: null, score: 0, reason: null, decision: null };
+
+            if (!record.device) {
+                suggestion.status = 'invalid';
+                suggestion.message = t('roster.missingDevice');
+                return suggestion;
+            }
+            if (seenRuckitDevices.has(record.device)) {
+                suggestion.status = 'invalid';
+                suggestion.message = t('roster.duplicateDevice');
+                return suggestion;
+            }
+            seenRuckitDevices.add(record.device);
+
+            const existingMapping = mappedRuckitDevices.get(record.device);
+            if (existingMapping) {
+                suggestion.status = 'mapped';
+                suggestion.message = t('roster.alreadyMapped', { device: existingMapping.details.name || existingMapping.details['gt-device'] });
+                return suggestion;
+            }
+
+            const options = new Map();
+            const addOption = (device, score, reason) => {
+                const current = options.get(device.id);
+                if (!current || current.score < score) options.set(device.id, { device, score, reason });
+            };
+
+            const recordKeys = {
+                serial: normalizeIdentifier(record.serial),
+                vin: normalizeIdentifier(record.vin),
+                plate: normalizeIdentifier(record.plate),
+                name: getNameTokens(record.name).join(' ')
+            };
+            exactIndexes.forEach(([reason, score, index]) => {
+                (recordKeys[reason] && index.get(recordKeys[reason]) || []).forEach(device => addOption(device, score, reason));
+            });
+
+            // Fuzzy names are only compared with assets sharing the roster name's rarest word
+            const recordTokens = getNameTokens(record.name);
+            const rarestToken = recordTokens
+                .filter(token => byToken.has(token))
+                .sort((a, b) => byToken.get(a).length - byToken.get(b).length)[0];
+            (rarestToken ? byToken.get(rarestToken) : []).forEach(deviceId => {
+                const similarity = getNameSimilarity(recordTokens, deviceTokens.get(deviceId));
+                if (similarity >= ROSTER_MIN_NAME_SIMILARITY) {
+                    addOption(devicesById.get(deviceId), Math.round(similarity * 85), 'fuzzy');
+                }
+            });
+
+            options.forEach(option => proposals.push({ recordIndex, ...option }));
+            return suggestion;
+        });
+
+        // Best matches first, so a strong serial match isn't lost to a weaker name match for the same asset
+        const usedDevices = new Set();
+        proposals.sort((a, b) => b.score - a.score).forEach(proposal => {
+            const suggestion = suggestions[proposal.recordIndex];
+            if (suggestion.geotabDevice || usedDevices.has(proposal.device.id)) return;
+
+            usedDevices.add(proposal.device.id);
+            Object.assign(suggestion, {
+                status: 'suggested',
+                geotabDevice: proposal.device,
+                score: proposal.score,
+                reason: proposal.reason
+            });
+        });
+
+        suggestions.forEach(suggestion => {
+            if (suggestion.status === 'unmatched') {
+                suggestion.message = t('roster.noMatch');
+            }
+        });
+
+        return suggestions;
+    }
+
+    /**
+     * Render the roster suggestions table
+     */
+    function renderRosterSuggestions() {
+        const tableBody = document.getElementById('rosterTableBody');
+        const summaryEl = document.getElementById('rosterSummary');
+        const applyBtn = document.getElementById('rosterApplyBtn');
+        if (!tableBody) return;
+
+        tableBody.innerHTML = rosterSuggestions.map((suggestion, index) => {
+            const confidence = suggestion.score >= 90 ? 'high' : suggestion.score >= 70 ? 'medium' : 'low';
+            const decisionButtons = suggestion.status === 'suggested' ? `
+                <div class="roster-decision">
+                    <button class="btn-roster-decision ${suggestion.decision === 'accept' ? 'active' : ''}" data-action="roster-decision" data-index="${index}" data-decision="accept" title="${t('roster.accept')}">
+                        <i class="fas fa-check"></i>
+                    </button>
+                    <button class="btn-roster-decision ${suggestion.decision === 'reject' ? 'active' : ''}" data-action="roster-decision" data-index="${index}" data-decision="reject" title="${t('roster.reject')}">
+                        <i class="fas fa-times"></i>
+                    </button>
+                </div>
+            ` : '';
+
+            return `
+                <tr class="${suggestion.decision === 'reject' ? 'roster-rejected' : ''}">
+                    <td>${suggestion.line}</td>
+                    <td>
+                        ${escapeHtml(suggestion.name || '-')}
+                        <div class="asset-meta">${escapeHtml(t('roster.ruckitDevice', { device: suggestion.device || '-' }))}</div>
+                    </td>
+                    <td>
+                        ${suggestion.geotabDevice
+                            ? `${escapeHtml(suggestion.geotabDevice.name || suggestion.geotabDevice.id)}${renderAssetMeta(suggestion.geotabDevice, null)}`
+                            : `<span class="text-muted">${escapeHtml(suggestion.message)}</span>`}
+                    </td>
+                    <td>${suggestion.reason ? t('roster.reason.' + suggestion.reason) : '-'}</td>
+                    <td>${suggestion.geotabDevice ? `<span class="roster-confidence roster-confidence-${confidence}">${suggestion.score}%</span>` : '-'}</td>
+                    <td>${decisionButtons}</td>
+                </tr>
+            `;
+        }).join('');
+
+        const counts = { suggested: 0, accepted: 0, rejected: 0, unmatched: 0 };
+        rosterSuggestions.forEach(suggestion => {
+            if (suggestion.status !== 'suggested') {
+                counts.unmatched++;
+                return;
+            }
+            counts.suggested++;
+            if (suggestion.decision === 'accept') counts.accepted++;
+            if (suggestion.decision === 'reject') counts.rejected++;
+        });
+
+        if (summaryEl) {
+            summaryEl.textContent = t('roster.summary', counts);
+        }
+
+        if (applyBtn) {
+            applyBtn.disabled = counts.accepted === 0;
+            applyBtn.innerHTML = `<i class="fas fa-link me-1"></i>${t('roster.apply', { count: counts.accepted })}`;
+        }
+    }
+
+    /**
+     * Open the file picker for a Ruckit roster
+     */
+    function showRosterPanel() {
+        const fileInput = document.getElementById('rosterFileInput');
+        if (fileInput) {
+            fileInput.value = '';
+            fileInput.click();
+        }
+    }
+
+    /**
+     * Hide the roster panel and discard the suggestions
+     */
+    function hideRosterPanel() {
+        rosterSuggestions = [];
+        const rosterPanel = document.getElementById('rosterPanel');
+        if (rosterPanel) {
+            rosterPanel.style.display = 'none';
+        }
+    }
+
+    /**
+     * Read the selected roster file and propose matches
+     */
+    async function handleRosterFile(fileInput) {
+        const file = fileInput.files && fileInput.files[0];
+        if (!file) return;
+
+        try {
+            const records = parseRosterFile(await file.text(), file.name);
+
+            if (records.length === 0) {
+                showAlert(t('roster.noRows'), 'warning');
+                return;
+            }
+
+            rosterSuggestions = buildRosterSuggestions(records);
+            renderRosterSuggestions();
+
+            const fileNameEl = document.getElementById('rosterFileName');
+            if (fileNameEl) fileNameEl.textContent = file.name;
+
+            const rosterPanel = document.getElementById('rosterPanel');
+            if (rosterPanel) rosterPanel.style.display = 'block';
+        } catch (error) {
+            console.error('Error reading roster file:', error);
+            showAlert(t('roster.readError', { error: error.message }), 'danger');
+        }
+    }
+
+    /**
+     * Accept or reject one suggestion. Choosing the current decision again undoes it.
+     */
+    function setRosterDecision(index, decision) {
+        const suggestion = rosterSuggestions[index];
+        if (!suggestion || suggestion.status !== 'suggested') return;
+
+        suggestion.decision = suggestion.decision === decision ? null : decision;
+        renderRosterSuggestions();
+    }
+
+    /**
+     * Accept every undecided suggestion at or above the high-confidence threshold
+     */
+    function acceptConfidentRosterSuggestions() {
+        rosterSuggestions.forEach(suggestion => {
+            if (suggestion.status === 'suggested' && !suggestion.decision && suggestion.score >= 90) {
+                suggestion.decision = 'accept';
+            }
+        });
+        renderRosterSuggestions();
+    }
+
+    /**
+     * Open a credential form for each accepted suggestion, filled in from the roster.
+     * Nothing is written until each form is saved.
+     */
+    function applyRosterSuggestions() {
+        const accepted = rosterSuggestions.filter(suggestion => suggestion.status === 'suggested' && suggestion.decision === 'accept');
+        if (accepted.length === 0) return;
+
+        openPrefilledForms(new Map(accepted.map(suggestion => {
+            const values = { device: suggestion.device };
+            if (suggestion.token) values.token = suggestion.token;
+            if (suggestion.driver) values.driver = suggestion.driver;
+            return [suggestion.geotabDevice.id, values];
+        })));
+
+        hideRosterPanel();
+        showAlert(t('roster.formsOpened', { count: accepted.length }), 'info');
+    }
+
+    /**
+     * Mask a token, keeping only the last few characters visible
+     */
+    function maskToken(token) {
+        if (!token) return '';
+        if (token.length <= 4) return TOKEN_MASK_CHAR.repeat(token.length);
+        return TOKEN_MASK_CHAR.repeat(Math.min(token.length - 4, 8)) + token.slice(-4);
+    }
+
+    /**
+     * Escape a value for a CSV field. Values a spreadsheet would run as a formula get a leading '.
+     */
+    function csvEscape(value) {
+        let text = value === null || value === undefined ? '' : String(value);
+        if (/^[=+\-@]/.test(text)) {
+            text = `'${text}`;
+        }
+        if (/[",\r\n]/.test(text)) {
+            return `"${text.replace(/"/g, '""')}"`;
+        }
+        return text;
+    }
+
+    /**
+     * Build export records from AddInData mappings
+     */
+    function buildExportRecords(mappings, maskTokens) {
+        return mappings.map(mapping => {
+            const details = mapping.details || {};
+            const token = details['ri-token'] || '';
+            return {
+                name: details.name || '',
+                'gt-device': details['gt-device'] || '',
+                'gt-sn': details['gt-sn'] || '',
+                'ri-device': details['ri-device'] || '',
+                'ri-driver': details['ri-driver'] || '',
+                date: details.date || '',
+                'ri-token': maskTokens ? maskToken(token) : token
+            };
+        });
+    }
+
+    /**
+     * Convert export records to CSV text
+     */
+    function exportRecordsToCsv(records) {
+        const columns = [
+            ['name', 'Asset Name'],
+            ['gt-device', 'Geotab Device ID'],
+            ['gt-sn', 'Serial Number'],
+            ['ri-device', 'Ruckit Device ID'],
+            ['ri-driver', 'Ruckit Driver ID'],
+            ['date', 'Last Updated'],
+            ['ri-token', 'Ruckit Token']
+        ];
+
+        const lines = [columns.map(([, label]) => csvEscape(label)).join(',')];
+        records.forEach(record => {
+            lines.push(columns.map(([key]) => csvEscape(record[key])).join(','));
+        });
+
+        return lines.join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Trigger a browser download for generated content
+     */
+    function downloadFile(fileName, content, mimeType) {
+        const blob = new Blob([content], { type: mimeType });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    /**
+     * Whether to mask tokens in an export, from the toolbar checkbox. Resolves with null, after
+     * telling the user, when tokens are to be shown but the user may not reveal them.
+     */
+    async function getExportMaskTokens() {
+        const maskInput = document.getElementById('exportMaskTokens');
+        const maskTokens = maskInput ? maskInput.checked : true;
+        
+        if (!maskTokens && !(await canRevealTokens())) {
+            showAlert(t('export.notAllowed'), 'warning');
+            return null;
+        }
+        return maskTokens;
+    }
+
+    /**
+     * Download mappings as a CSV or JSON file
+     */
+    function downloadMappings(format, mappings, maskTokens) {
+        const records = buildExportRecords(mappings, maskTokens);
+        const dateStamp = new Date().toISOString().slice(0, 10);
+
+        if (format === 'json') {
+            downloadFile(`ruckit-mappings-${dateStamp}.json`, JSON.stringify(records, null, 2), 'application/json');
+        } else {
+            downloadFile(`ruckit-mappings-${dateStamp}.csv`, exportRecordsToCsv(records), 'text/csv;charset=utf-8');
+        }
+    }
+
+    /**
+     * Export all Ruckit mappings as CSV or JSON
+     */
+    async function exportMappings(format) {
+        const maskTokens = await getExportMaskTokens();
+        if (maskTokens === null) return;
+
+        try {
+            const mappings = await getRuckitMappings();
+            downloadMappings(format, mappings, maskTokens);
+            showAlert(t(maskTokens ? 'export.doneMasked' : 'export.done', { count: mappings.length }), 'success');
+        } catch (error) {
+            console.error('Error exporting mappings:', error);
+            showAlert(t('export.error', { error: error.message }), 'danger');
+        }
+    }
+
+    /**
+     * Get the user name of the current MyGeotab session
+     */
+    function getCurrentUserName() {
+        if (currentUserName) {
+            return Promise.resolve(currentUserName);
+        }
+        
+        return loadSessionInfo().then(() => currentUserName || 'Unknown user');
+    }
+
+    /**
+     * Hash a token with SHA-256 so audit records can show whether it changed without storing it
+     */
+    async function hashToken(token) {
+        if (!token || !window.crypto || !window.crypto.subtle) {
+            return '';
+        }
+        
+        const digest = await window.crypto.subtle.digest('SHA-256', new TextEncoder().encode(token));
+        return Array.from(new Uint8Array(digest))
+            .map(byte => byte.toString(16).padStart(2, '0'))
+            .join('')
+            .slice(0, 16);
+    }
+
+    /**
+     * Build the audited snapshot of a mapping, with the token masked and hashed
+     */
+    async function buildAuditSnapshot(details) {
+        if (!details) return null;
+        
+        const token = details['ri-token'] || '';
+        const isPlaceholder = token === 'TOKEN';
+        
+        return {
+            'name': details.name || '',
+            'gt-sn': details['gt-sn'] || '',
+            'ri-device': details['ri-device'] || '',
+            'ri-driver': details['ri-driver'] || '',
+            'ri-token': isPlaceholder ? token : maskToken(token),
+            'ri-token-hash': isPlaceholder ? '' : await hashToken(token)
+        };
+    }
+
+    /**
+     * Write audit records for credential changes. Each entry is
+     * { action, deviceId, before, after, note } with before/after as mapping details.
+     * Failures are logged and never block the change itself.
+     */
+    async function writeAuditRecords(entries) {
+        if (entries.length === 0) return;
+        
+        try {
+            const user = await getCurrentUserName();
+            const date = new Date().toISOString();
+            
+            const calls = [];
+            for (const entry of entries) {
+                calls.push(["Add", "AddInData", {
+                    entity: {
+                        addInId: ADDIN_ID,
+                        details: {
+                            'type': 'ri-audit',
+                            'date': date,
+                            'gt-device': entry.deviceId,
+                            'user': user,
+                            'action': entry.action,
+                            'note': entry.note || '',
+                            'before': await buildAuditSnapshot(entry.before),
+                            'after': await buildAuditSnapshot(entry.after)
+                        }
+                    }
+                }]);
+            }
+            
+            const results = await makeGeotabMultiCall(calls);
+            const failedCount = results.filter(result => !result.success).length;
+            if (failedCount > 0) {
+                console.error(`Failed to write ${failedCount} audit record(s)`, results.filter(result => !result.success));
+            }
+        } catch (error) {
+            console.error('Error writing audit records:', error);
+        }
+    }
+
+    /**
+     * Get the newest AUDIT_HISTORY_LIMIT audit records for a device, newest first.
+     * Record ids say nothing about when a record was written, so every audit record is read and
+     * ordered by its date. The query filters on type only; the device is matched here, which keeps
+     * device IDs out of the whereClause.
+     * @returns {Promise<{records: Array<object>, hasMore: boolean}>}
+     */
+    async function getAuditRecords(deviceId) {
+        const records = (await getAllPaged("AddInData", { whereClause: 'type = "ri-audit"' }))
+            .filter(record => record.details?.['gt-device'] === deviceId)
+            .sort((a, b) => (b.details?.date || '').localeCompare(a.details?.date || ''));
+        
+        return {
+            records: records.slice(0, AUDIT_HISTORY_LIMIT),
+            hasMore: records.length > AUDIT_HISTORY_LIMIT
+        };
+    }
+
+    /**
+     * Describe the field changes between two audit snapshots
+     */
+    function describeAuditChanges(before, after) {
+        const fields = [
+            ['name', 'audit.field.name'],
+            ['gt-sn', 'audit.field.serial'],
+            ['ri-token', 'audit.field.token'],
+            ['ri-device', 'field.device'],
+            ['ri-driver', 'field.driver']
+        ];
+        
+        return fields
+            .filter(([key]) => {
+                if (key === 'ri-token' && before && after && before['ri-token-hash'] && after['ri-token-hash']) {
+                    return before['ri-token-hash'] !== after['ri-token-hash'];
+                }
+                return (before?.[key] || '') !== (after?.[key] || '');
+            })
+            .map(([key, labelKey]) => ({
+                label: t(labelKey),
+                before: before?.[key] || '',
+                after: after?.[key] || ''
+            }));
+    }
+
+    /**
+     * Render the history rows for a device
+     */
+    function renderAuditHistory({ records, hasMore }) {
+        if (records.length === 0) {
+            return `<p class="audit-history-empty">${t('audit.empty')}</p>`;
+        }
+        
+        const moreHtml = hasMore
+            ? `<p class="audit-history-more">${t('audit.latestOnly', { count: AUDIT_HISTORY_LIMIT })}</p>`
+            : '';
+        
+        return records.map(record => {
+            const details = record.details;
+            const changes = describeAuditChanges(details.before, details.after);
+            const changesHtml = changes.length > 0
+                ? changes.map(change => `
+                    <div class="audit-change">
+                        <span class="audit-change-label">${escapeHtml(change.label)}:</span>
+                        <span class="audit-change-before">${escapeHtml(change.before || t('audit.emptyValue'))}</span>
+                        <i class="fas fa-arrow-right mx-1"></i>
+                        <span class="audit-change-after">${escapeHtml(change.after || t('audit.emptyValue'))}</span>
+                    </div>
+                `).join('')
+                : (details.before || details.after ? `<div class="audit-change text-muted">${t('audit.noFieldChanges')}</div>` : '');
+            
+            return `
+                <div class="audit-entry">
+                    <div class="audit-entry-header">
+                        <span class="audit-action audit-action-${escapeHtml(details.action || '')}">${escapeHtml(details.action ? t('audit.action.' + details.action) : '')}</span>
+                        <span class="audit-user"><i class="fas fa-user me-1"></i>${escapeHtml(details.user || t('common.unknownUser'))}</span>
+                        <span class="audit-date">${escapeHtml(details.date ? formatDate(details.date, true) : '')}</span>
+                    </div>
+                    ${details.note ? `<div class="audit-note">${escapeHtml(details.note)}</div>` : ''}
+                    ${changesHtml}
+                </div>
+            `;
+        }).join('') + moreHtml;
+    }
+
+    /**
+     * Show/hide the change history for a device
+     */
+    async function toggleHistory(deviceId) {
+        const existingRow = document.getElementById(`history-row-${deviceId}`);
+        const button = document.querySelector(`tr[data-device-id="${CSS.escape(deviceId)}"] .btn-history`);
+        
+        if (existingRow) {
+            existingRow.remove();
+            openHistoryDeviceIds.delete(deviceId);
+            if (button) button.innerHTML = `<i class="fas fa-history me-1"></i>${t('table.history')}`;
+            return;
+        }
+        
+        const deviceRow = document.querySelector(`tr[data-device-id="${CSS.escape(deviceId)}"]`);
+        if (!deviceRow) return;
+        openHistoryDeviceIds.add(deviceId);
+        
+        deviceRow.insertAdjacentHTML('afterend', `
+            <tr id="history-row-${escapeHtml(deviceId)}">
+                <td colspan="${deviceRow.cells.length}">
+                    <div class="audit-history">
+                        <div class="loading-spinner py-3">
+                            <div class="spinner-border spinner-border-sm" role="status">
+                                <span class="visually-hidden">${t('common.loading')}</span>
+                            </div>
+                        </div>
+                    </div>
+                </td>
+            </tr>
+        `);
+        if (button) button.innerHTML = `<i class="fas fa-history me-1"></i>${t('audit.hideHistory')}`;
+        
+        try {
+            const history = await getAuditRecords(deviceId);
+            const historyRow = document.getElementById(`history-row-${deviceId}`);
+            const historyEl = historyRow && historyRow.querySelector('.audit-history');
+            if (historyEl) {
+                historyEl.innerHTML = renderAuditHistory(history);
+            }
+        } catch (error) {
+            console.error('Error loading history:', error);
+            showAlert(t('audit.loadError', { error: error.message }), 'danger');
+        }
+    }
+
+    /**
+     * Find mappings that no longer belong to an active asset or hold only placeholders
+     */
+    function findCleanupCandidates() {
+        const deviceMap = new Map(loadedDevicesData.map(device => [device.id, device]));
+        const activeDeviceIds = new Set(activeDevicesData.map(device => device.id));
+        
+        return ruckitMappingsData.reduce((candidates, mapping) => {
+            const details = mapping.details || {};
+            const deviceId = details['gt-device'];
+            const device = deviceId ? deviceMap.get(deviceId) : null;
+            
+            let reason = null;
+            if (!device) {
+                reason = 'orphaned';
+            } else if (!activeDeviceIds.has(deviceId)) {
+                reason = 'retired';
+            } else if (filterPlaceholderEntries([mapping]).length === 0) {
+                reason = 'placeholder';
+            }
+            
+            if (reason) {
+                candidates.push({ mapping, device, reason });
+            }
+            return candidates;
+        }, []);
+    }
+
+    /**
+     * Render the cleanup candidates table
+     */
+    function renderCleanupTable() {
+        const tableBody = document.getElementById('cleanupTableBody');
+        const summaryEl = document.getElementById('cleanupSummary');
+        if (!tableBody) return;
+        
+        const reasonLabels = {
+            orphaned: t('cleanup.reason.orphaned'),
+            retired: t('cleanup.reason.retired'),
+            placeholder: t('cleanup.reason.placeholder')
+        };
+        
+        if (cleanupCandidates.length === 0) {
+            tableBody.innerHTML = `
+                <tr>
+                    <td colspan="6">
+                        <div class="empty-state">
+                            <i class="fas fa-broom"></i>
+                            <h5>${t('cleanup.emptyTitle')}</h5>
+                            <p>${t('cleanup.emptyText')}</p>
+                        </div>
+                    </td>
+                </tr>
+            `;
+        } else {
+            tableBody.innerHTML = cleanupCandidates.map((candidate, index) => {
+                const details = candidate.mapping.details || {};
+                const assetName = (candidate.device && candidate.device.name) || details.name || t('common.notAvailable');
+                return `
+                    <tr>
+                        <td><input type="checkbox" class="form-check-input cleanup-select" data-index="${index}" data-action="cleanup-select"></td>
+                        <td>${escapeHtml(assetName)}</td>
+                        <td class="text-muted">${escapeHtml(details['gt-device'] || '-')}</td>
+                        <td><span class="cleanup-reason cleanup-reason-${candidate.reason}">${reasonLabels[candidate.reason]}</span></td>
+                        <td class="text-muted">${escapeHtml(details.date ? formatDate(details.date) : '-')}</td>
+                        <td>
+                            ${mappingHasCredentials(candidate.mapping) ? `<button class="btn-health-fix" data-action="show-transfer" data-index="${index}">
+                                <i class="fas fa-exchange-alt me-1"></i>${t('transfer.button')}
+                            </button>` : ''}
+                        </td>
+                    </tr>
+                `;
+            }).join('');
+        }
+        
+        if (summaryEl) {
+            const counts = { orphaned: 0, retired: 0, placeholder: 0 };
+            cleanupCandidates.forEach(candidate => counts[candidate.reason]++);
+            summaryEl.textContent = t('cleanup.summary', counts);
+        }
+        
+        const selectAll = document.getElementById('cleanupSelectAll');
+        if (selectAll) selectAll.checked = false;
+        updateCleanupSelection();
+    }
+
+    /**
+     * Get the cleanup candidates currently selected
+     */
+    function getSelectedCleanupCandidates() {
+        return Array.from(document.querySelectorAll('.cleanup-select:checked'))
+            .map(checkbox => cleanupCandidates[Number(checkbox.dataset.index)])
+            .filter(Boolean);
+    }
+
+    /**
+     * Show the cleanup panel for orphaned, retired and placeholder mappings
+     */
+    async function showCleanupPanel() {
+        if (!(await hasAdminClearance())) {
+            showAlert(t('cleanup.notAllowed'), 'warning');
+            return;
+        }
+        
+        // Without the device list every mapping would look orphaned
+        if (devicesLoadFailed) {
+            showAlert(t('cleanup.devicesNotLoaded'), 'danger');
+            hideCleanupPanel();
+            return;
+        }
+        
+        cleanupCandidates = findCleanupCandidates();
+        renderCleanupTable();
+        
+        const cleanupPanel = document.getElementById('cleanupPanel');
+        if (cleanupPanel) cleanupPanel.style.display = 'block';
+    }
+
+    /**
+     * Hide the cleanup panel
+     */
+    function hideCleanupPanel() {
+        cleanupCandidates = [];
+        const cleanupPanel = document.getElementById('cleanupPanel');
+        if (cleanupPanel) cleanupPanel.style.display = 'none';
+    }
+
+    /**
+     * Select or deselect every cleanup candidate
+     */
+    function toggleCleanupSelectAll(checked) {
+        document.querySelectorAll('.cleanup-select').forEach(checkbox => {
+            checkbox.checked = checked;
+        });
+        updateCleanupSelection();
+    }
+
+    /**
+     * Update the remove button for the current selection
+     */
+    function updateCleanupSelection() {
+        const removeBtn = document.getElementById('cleanupRemoveBtn');
+        if (!removeBtn) return;
+        
+        const selectedCount = getSelectedCleanupCandidates().length;
+        removeBtn.disabled = selectedCount === 0;
+        removeBtn.innerHTML = `<i class="fas fa-trash me-1"></i>${t('cleanup.removeSelected', { count: selectedCount })}`;
+    }
+
+    /**
+     * Permanently remove the selected mappings from AddInData
+     */
+    async function removeSelectedMappings() {
+        const selected = getSelectedCleanupCandidates();
+        if (selected.length === 0) return;
+        
+        // Clearance may have changed since the panel was opened
+        if (!(await hasAdminClearance(true))) {
+            showAlert(t('cleanup.notAllowed'), 'warning');
+            hideCleanupPanel();
+            return;
+        }
+        
+        // A refresh since the panel was opened may have failed to load the devices
+        if (devicesLoadFailed) {
+            showAlert(t('cleanup.devicesNotLoaded'), 'danger');
+            hideCleanupPanel();
+            return;
+        }
+        
+        const counts = { orphaned: 0, retired: 0, placeholder: 0 };
+        selected.forEach(candidate => counts[candidate.reason]++);
+        
+        const summary = [
+            t('cleanup.confirm', { count: selected.length }),
+            '',
+            t('cleanup.confirmOrphaned', { count: counts.orphaned }),
+            t('cleanup.confirmRetired', { count: counts.retired }),
+            t('cleanup.confirmPlaceholder', { count: counts.placeholder }),
+            '',
+            t('common.cannotBeUndone')
+        ].join('\n');
+        
+        if (!confirm(summary)) {
+            return;
+        }
+        
+        setButtonLoading('cleanupRemoveBtn', true);
+        try {
+            const results = await makeGeotabMultiCall(
+                selected.map(candidate => ["Remove", "AddInData", { entity: candidate.mapping }])
+            );
+            
+            const auditEntries = [];
+            let failedCount = 0;
+            results.forEach((result, index) => {
+                if (!result.success) {
+                    console.error(`Error removing mapping ${selected[index].mapping.id}:`, result.error);
+                    failedCount++;
+                    return;
+                }
+                auditEntries.push({
+                    action: 'remove',
+                    deviceId: selected[index].mapping.details?.['gt-device'] || '',
+                    before: selected[index].mapping.details,
+                    after: null,
+                    note: `Removed during cleanup (${selected[index].reason})`
+                });
+            });
+            await writeAuditRecords(auditEntries);
+            
+            let message = t('cleanup.removed', { count: results.length - failedCount });
+            if (failedCount > 0) {
+                message += ' ' + t('common.failedCount', { count: failedCount });
+            }
+            showAlert(message, failedCount > 0 ? 'warning' : 'success');
+        } finally {
+            setButtonLoading('cleanupRemoveBtn', false);
+        }
+        
+        await loadRuckitAssets();
+        await showCleanupPanel();
+    }
+
+    /**
+     * Scan existing mappings for duplicates and stale serial numbers
+     */
+    function runHealthChecks() {
+        const issues = [];
+        const deviceMap = new Map(allDevicesData.map(device => [device.id, device]));
+        const scopedMappings = activeMappingsData.filter(mapping => deviceMap.has(mapping.details['gt-device']));
+        const mappingName = mapping => mapping.details.name || mapping.details['gt-device'];
+        
+        // Several mappings for the same Geotab device
+        const mappingsByDevice = new Map();
+        scopedMappings.forEach(mapping => {
+            const deviceId = mapping.details['gt-device'];
+            if (!mappingsByDevice.has(deviceId)) mappingsByDevice.set(deviceId, []);
+            mappingsByDevice.get(deviceId).push(mapping);
+        });
+        
+        mappingsByDevice.forEach((mappings, deviceId) => {
+            if (mappings.length < 2) return;
+            
+            // Keep the newest mapping with real credentials; the rest are safe to remove
+            // only if they are placeholder-only or carry the same credentials
+            const sorted = [...mappings].sort((a, b) => (b.details.date || '').localeCompare(a.details.date || ''));
+            const keep = filterPlaceholderEntries(sorted)[0] || sorted[0];
+            const removable = sorted.filter(mapping => mapping !== keep && (
+                filterPlaceholderEntries([mapping]).length === 0 ||
+                ['ri-token', 'ri-device', 'ri-driver'].every(key => mapping.details[key] === keep.details[key])
+            ));
+            
+            issues.push({
+                severity: 'critical',
+                deviceId: deviceId,
+                message: t('health.duplicateMappings', { device: deviceMap.get(deviceId).name, count: mappings.length }),
+                fixLabel: removable.length === mappings.length - 1 ? t('health.removeDuplicates') : null,
+                fix: () => removeDuplicateMappings(removable)
+            });
+        });
+        
+        // The same Ruckit credential on several trucks (across all active mappings)
+        const credentialFields = [
+            ['ri-token', 'audit.field.token', 'critical'],
+            ['ri-device', 'field.device', 'warning'],
+            ['ri-driver', 'field.driver', 'warning']
+        ].filter(([key]) => key !== 'ri-token' || !settings.allowSharedTokens);
+        const validMappings = filterPlaceholderEntries(activeMappingsData);
+        
+        credentialFields.forEach(([key, labelKey, severity]) => {
+            const byValue = new Map();
+            validMappings.forEach(mapping => {
+                const value = mapping.details[key];
+                if (!value) return;
+                if (!byValue.has(value)) byValue.set(value, []);
+                byValue.get(value).push(mapping);
+            });
+            
+            byValue.forEach((mappings, value) => {
+                const deviceIds = new Set(mappings.map(mapping => mapping.details['gt-device']));
+                if (deviceIds.size < 2) return;
+                if (!mappings.some(mapping => deviceMap.has(mapping.details['gt-device']))) return;
+                
+                const shownValue = key === 'ri-token' ? maskToken(value) : value;
+                issues.push({
+                    severity: severity,
+                    deviceId: mappings[0].details['gt-device'],
+                    message: t('health.sharedCredential', { label: t(labelKey), value: shownValue, devices: mappings.map(mappingName).join(', ') }),
+                    fixLabel: null
+                });
+            });
+        });
+        
+        // Missing or outdated serial numbers (placeholder-only mappings are left to cleanup)
+        filterPlaceholderEntries(scopedMappings).forEach(mapping => {
+            const device = deviceMap.get(mapping.details['gt-device']);
+            const storedSerial = mapping.details['gt-sn'] || '';
+            const currentSerial = device.serialNumber || '';
+            
+            if (!storedSerial && currentSerial) {
+                issues.push({
+                    severity: 'info',
+                    deviceId: device.id,
+                    message: t('health.missingSerial', { device: mappingName(mapping) }),
+                    fixLabel: t('health.storeSerial'),
+                    fix: () => updateMappingSerial(mapping, currentSerial)
+                });
+            } else if (storedSerial && currentSerial && storedSerial !== currentSerial) {
+                issues.push({
+                    severity: 'warning',
+                    deviceId: device.id,
+                    message: t('health.serialMismatch', { device: mappingName(mapping), stored: storedSerial, current: currentSerial }),
+                    fixLabel: t('health.updateSerial'),
+                    fix: () => updateMappingSerial(mapping, currentSerial)
+                });
+            }
+        });
+        
+        return issues;
+    }
+
+    /**
+     * Remove duplicate mappings for a device
+     */
+    async function removeDuplicateMappings(mappings) {
+        const results = await makeGeotabMultiCall(mappings.map(mapping => ["Remove", "AddInData", { entity: mapping }]));
+        const removed = mappings.filter((mapping, index) => results[index].success);
+        
+        await writeAuditRecords(removed.map(mapping => ({
+            action: 'remove',
+            deviceId: mapping.details['gt-device'],
+            before: mapping.details,
+            after: null,
+            note: 'Removed duplicate mapping during health check'
+        })));
+        
+        if (removed.length < mappings.length) {
+            throw new Error(`${mappings.length - removed.length} duplicate(s) could not be removed`);
+        }
+    }
+
+    /**
+     * Store the device's current serial number on a mapping
+     */
+    async function updateMappingSerial(mapping, serialNumber) {
+        const updatedMapping = {
+            ...mapping,
+            details: {
+                ...mapping.details,
+                'gt-sn': serialNumber,
+                date: new Date().toISOString()
+            }
+        };
+        
+        await makeGeotabCall("Set", "AddInData", { entity: updatedMapping });
+        await writeAuditRecords([{
+            action: 'repair',
+            deviceId: mapping.details['gt-device'],
+            before: mapping.details,
+            after: updatedMapping.details,
+            note: 'Serial number updated during health check'
+        }]);
+    }
+
+    /**
+     * Render the health report grouped by severity
+     */
+    function renderHealthReport() {
+        const reportEl = document.getElementById('healthReport');
+        const summaryEl = document.getElementById('healthSummary');
+        const fixAllBtn = document.getElementById('healthFixAllBtn');
+        if (!reportEl) return;
+        
+        const severities = [
+            ['critical', t('health.critical'), 'fa-times-circle'],
+            ['warning', t('health.warnings'), 'fa-exclamation-triangle'],
+            ['info', t('health.info'), 'fa-info-circle']
+        ];
+        
+        if (healthIssues.length === 0) {
+            reportEl.innerHTML = `
+                <div class="empty-state">
+                    <i class="fas fa-heartbeat"></i>
+                    <h5>${t('health.emptyTitle')}</h5>
+                    <p>${t('health.emptyText')}</p>
+                </div>
+            `;
+        } else {
+            reportEl.innerHTML = severities.map(([severity, label, icon]) => {
+                const issues = healthIssues
+                    .map((issue, index) => ({ issue, index }))
+                    .filter(({ issue }) => issue.severity === severity);
+                if (issues.length === 0) return '';
+                
+                return `
+                    <div class="health-group health-group-${severity}">
+                        <h6><i class="fas ${icon} me-2"></i>${label} (${issues.length})</h6>
+                        ${issues.map(({ issue, index }) => `
+                            <div class="health-issue">
+                                <span class="health-issue-message">${escapeHtml(issue.message)}</span>
+                                ${issue.fixLabel ? `
+                                    <button class="btn-health-fix" data-action="apply-health-fix" data-index="${index}">
+                                        <i class="fas fa-wrench me-1"></i>${issue.fixLabel}
+                                    </button>
+                                ` : ''}
+                            </div>
+                        `).join('')}
+                    </div>
+                `;
+            }).join('');
+        }
+        
+        if (summaryEl) {
+            const count = severity => healthIssues.filter(issue => issue.severity === severity).length;
+            summaryEl.textContent = t('health.summary', { critical: count('critical'), warning: count('warning'), info: count('info') });
+        }
+        
+        if (fixAllBtn) {
+            const fixableCount = healthIssues.filter(issue => issue.fixLabel).length;
+            fixAllBtn.disabled = fixableCount === 0;
+            fixAllBtn.innerHTML = `<i class="fas fa-magic me-1"></i>${t('health.fixAll', { count: fixableCount })}`;
+        }
+    }
+
+    /**
+     * Run the health check and show the report
+     */
+    function showHealthPanel() {
+        healthIssues = runHealthChecks();
+        renderHealthReport();
+        
+        const healthPanel = document.getElementById('healthPanel');
+        if (healthPanel) healthPanel.style.display = 'block';
+    }
+
+    /**
+     * Hide the health report
+     */
+    function hideHealthPanel() {
+        healthIssues = [];
+        const healthPanel = document.getElementById('healthPanel');
+        if (healthPanel) healthPanel.style.display = 'none';
+    }
+
+    /**
+     * Apply the one-click fix for a single issue
+     */
+    async function applyHealthFix(index) {
+        const issue = healthIssues[index];
+        if (!issue || !issue.fix) return;
+        
+        try {
+            await issue.fix();
+            showAlert(t('health.fixed', { issue: issue.message }), 'success');
+        } catch (error) {
+            console.error('Error applying fix:', error);
+            showAlert(t('health.fixError', { error: error.message }), 'danger');
+        }
+        
+        await loadRuckitAssets();
+        showHealthPanel();
+    }
+
+    /**
+     * Apply every available one-click fix
+     */
+    async function applyAllHealthFixes() {
+        const fixable = healthIssues.filter(issue => issue.fixLabel && issue.fix);
+        if (fixable.length === 0) return;
+        
+        setButtonLoading('healthFixAllBtn', true);
+        let failedCount = 0;
+        try {
+            for (const issue of fixable) {
+                try {
+                    await issue.fix();
+                } catch (error) {
+                    console.error(`Error fixing "${issue.message}":`, error);
+                    failedCount++;
+                }
+            }
+        } finally {
+            setButtonLoading('healthFixAllBtn', false);
+        }
+        
+        let message = t('health.fixedCount', { count: fixable.length - failedCount });
+        if (failedCount > 0) {
+            message += ' ' + t('common.failedCount', { count: failedCount });
+        }
+        showAlert(message, failedCount > 0 ? 'warning' : 'success');
+        
+        await loadRuckitAssets();
+        showHealthPanel();
+    }
+
+    /**
+     * Load shared add-in settings from AddInData
+     */
+    async function loadSettings() {
+        try {
+            const records = await makeGeotabCall("Get", "AddInData", {
+                search: { whereClause: 'type = "ri-settings"' }
+            });
+            settingsRecord = records && records[0] ? records[0] : null;
+        } catch (error) {
+            console.error('Error loading settings:', error);
+            settingsRecord = null;
+        }
+        
+        settings = { ...DEFAULT_SETTINGS, ...(settingsRecord?.details?.settings || {}) };
+        return settings;
+    }
+
+    /**
+     * Save shared add-in settings to AddInData
+     */
+    async function saveSettings(newSettings) {
+        // Who can reveal tokens is security-sensitive, so check a fresh copy of the user's clearance before storing it
+        const clearancesChanged = JSON.stringify(newSettings.revealClearanceIds || [])
+            !== JSON.stringify(settings.revealClearanceIds || []);
+        if (clearancesChanged && !(await hasAdminClearance(true))) {
+            throw new Error(t('settings.notAllowed'));
+        }
+        
+        const details = {
+            'type': 'ri-settings',
+            'date': new Date().toISOString(),
+            'settings': newSettings
+        };
+        
+        if (settingsRecord) {
+            await makeGeotabCall("Set", "AddInData", {
+                entity: { ...settingsRecord, details: details }
+            });
+        } else {
+            await makeGeotabCall("Add", "AddInData", {
+                entity: { addInId: ADDIN_ID, details: details }
+            });
+        }
+        
+        await loadSettings();
+    }
+
+    /**
+     * Show the administrator-only toolbar buttons when the current user has administrator clearance
+     */
+    async function renderAdminControls() {
+        const isAdmin = await hasAdminClearance();
+        ['settingsBtn', 'cleanupBtn'].forEach(id => {
+            const button = document.getElementById(id);
+            if (button) button.style.display = isAdmin ? '' : 'none';
+        });
+    }
+
+    /**
+     * Show the settings panel
+     */
+    async function showSettingsPanel() {
+        if (!(await hasAdminClearance())) {
+            showAlert(t('settings.notAllowed'), 'warning');
+            return;
+        }
+        
+        const baseUrlInput = document.getElementById('settingsRuckitBaseUrl');
+        if (baseUrlInput) {
+            baseUrlInput.value = settings.ruckitBaseUrl || DEFAULT_SETTINGS.ruckitBaseUrl;
+        }
+        
+        const clearanceInput = document.getElementById('settingsRevealClearances');
+        if (clearanceInput) {
+            clearanceInput.value = (settings.revealClearanceIds || DEFAULT_SETTINGS.revealClearanceIds).join(', ');
+        }
+        
+        const sharedTokensInput = document.getElementById('settingsAllowSharedTokens');
+        if (sharedTokensInput) {
+            sharedTokensInput.checked = !!settings.allowSharedTokens;
+        }
+        
+        renderValidationRulesEditor();
+        
+        const settingsPanel = document.getElementById('settingsPanel');
+        if (settingsPanel) settingsPanel.style.display = 'block';
+    }
+
+    /**
+     * Render the credential format rule inputs in the settings panel
+     */
+    function renderValidationRulesEditor() {
+        const tableBody = document.getElementById('settingsValidationRules');
+        if (!tableBody) return;
+        
+        tableBody.innerHTML = CONFLICT_FIELDS.map(([field, , labelKey]) => {
+            const rule = getValidationRule(field);
+            const charsetOptions = Object.keys(VALIDATION_CHARSETS).map(key => `
+                <option value="${key}" ${(rule.charset || 'any') === key ? 'selected' : ''}>${escapeHtml(t(VALIDATION_CHARSETS[key].labelKey))}</option>
+            `).join('');
+            
+            return `
+                <tr>
+                    <td>${escapeHtml(t(labelKey))}</td>
+                    <td><input type="text" id="rule-${field}-prefix" value="${escapeHtml(rule.prefix || '')}"></td>
+                    <td><input type="number" min="0" id="rule-${field}-minLength" value="${rule.minLength || ''}"></td>
+                    <td><input type="number" min="0" id="rule-${field}-maxLength" value="${rule.maxLength || ''}"></td>
+                    <td><select id="rule-${field}-charset">${charsetOptions}</select></td>
+                    <td><input type="text" id="rule-${field}-pattern" value="${escapeHtml(rule.pattern || '')}" placeholder="^[0-9]+$"></td>
+                </tr>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Read the credential format rules from the settings panel. Throws if a rule is invalid.
+     */
+    function readValidationRulesEditor() {
+        const rules = {};
+        
+        CONFLICT_FIELDS.forEach(([field, , labelKey]) => {
+            const label = t(labelKey);
+            const getValue = name => {
+                const input = document.getElementById(`rule-${field}-${name}`);
+                return input ? input.value.trim() : '';
+            };
+            
+            const rule = {};
+            const prefix = getValue('prefix');
+            const minLength = parseInt(getValue('minLength'), 10);
+            const maxLength = parseInt(getValue('maxLength'), 10);
+            const charset = getValue('charset');
+            const pattern = getValue('pattern');
+            
+            if (prefix) rule.prefix = prefix;
+            if (minLength > 0) rule.minLength = minLength;
+            if (maxLength > 0) rule.maxLength = maxLength;
+            if (charset && charset !== 'any') rule.charset = charset;
+            
+            if (rule.minLength && rule.maxLength && rule.minLength > rule.maxLength) {
+                throw new Error(t('settings.minAboveMax', { label }));
+            }
+            
+            if (pattern) {
+                try {
+                    new RegExp(pattern);
+                } catch (error) {
+                    throw new Error(t('settings.invalidRegex', { label, error: error.message }));
+                }
+                rule.pattern = pattern;
+            }
+            
+            rules[field] = rule;
+        });
+        
+        return rules;
+    }
+
+    /**
+     * Hide the settings panel
+     */
+    function hideSettingsPanel() {
+        const settingsPanel = document.getElementById('settingsPanel');
+        if (settingsPanel) settingsPanel.style.display = 'none';
+    }
+
+    /**
+     * Save the settings panel
+     */
+    async function saveSettingsPanel() {
+        const baseUrlInput = document.getElementById('settingsRuckitBaseUrl');
+        const baseUrl = baseUrlInput ? baseUrlInput.value.trim().replace(/\/+$/, '') : '';
+        
+        if (!(await hasAdminClearance())) {
+            showAlert(t('settings.notAllowed'), 'warning');
+            return;
+        }
+        
+        if (!isAllowedRuckitBaseUrl(baseUrl)) {
+            showAlert(t('settings.invalidUrl'), 'danger');
+            return;
+        }
+        
+        const clearanceInput = document.getElementById('settingsRevealClearances');
+        const revealClearanceIds = clearanceInput
+            ? clearanceInput.value.split(',').map(id => id.trim()).filter(Boolean)
+            : settings.revealClearanceIds;
+        
+        const sharedTokensInput = document.getElementById('settingsAllowSharedTokens');
+        const allowSharedTokens = sharedTokensInput ? sharedTokensInput.checked : !!settings.allowSharedTokens;
+        
+        let validationRules;
+        try {
+            validationRules = readValidationRulesEditor();
+        } catch (error) {
+            showAlert(error.message, 'danger');
+            return;
+        }
+        
+        setButtonLoading('settingsSaveBtn', true);
+        try {
+            await saveSettings({
+                ...settings,
+                ruckitBaseUrl: baseUrl,
+                revealClearanceIds: revealClearanceIds,
+                allowSharedTokens: allowSharedTokens,
+                validationRules: validationRules
+            });
+            
+            // Results against the previous server no longer apply
+            verificationResults = {};
+            applyFilters();
+            
+            showAlert(t('settings.saved'), 'success');
+            hideSettingsPanel();
+        } catch (error) {
+            console.error('Error saving settings:', error);
+            showAlert(t('settings.saveError', { error: error.message }), 'danger');
+        } finally {
+            setButtonLoading('settingsSaveBtn', false);
+        }
+    }
+
+    /**
+     * Check a Ruckit base URL against the allow-list. Only local mock servers may use plain http.
+     */
+    function isAllowedRuckitBaseUrl(value) {
+        let url;
+        try {
+            url = new URL(value);
+        } catch (error) {
+            return false;
+        }
+        
+        if (url.username || url.password || url.search || url.hash) return false;
+        if (RUCKIT_LOCAL_HOSTS.includes(url.hostname)) {
+            return url.protocol === 'https:' || url.protocol === 'http:';
+        }
+        return url.protocol === 'https:' && RUCKIT_ALLOWED_HOSTS.includes(url.hostname);
+    }
+
+    /**
+     * Get the configured Ruckit base URL, falling back to the default if it isn't allowed
+     */
+    function getRuckitBaseUrl() {
+        const baseUrl = settings.ruckitBaseUrl || DEFAULT_SETTINGS.ruckitBaseUrl;
+        if (isAllowedRuckitBaseUrl(baseUrl)) return baseUrl;
+        
+        console.warn(`Ignoring Ruckit API URL outside the allow-list: ${baseUrl}`);
+        return DEFAULT_SETTINGS.ruckitBaseUrl;
+    }
+
+    /**
+     * Call a Ruckit endpoint with a token. Resolves with the HTTP status, or 0 if unreachable.
+     */
+    async function fetchRuckit(path, token) {
+        const controller = new AbortController();
+        const timeout = setTimeout(() => controller.abort(), VERIFY_TIMEOUT_MS);
+        
+        try {
+            const response = await fetch(`${getRuckitBaseUrl()}${path}`, {
+                method: 'GET',
+                headers: {
+                    'Accept': 'application/json',
+                    'Authorization': `Token ${token}`
+                },
+                signal: controller.signal
+            });
+            return response.status;
+        } catch (error) {
+            console.warn(`Ruckit request to ${path} failed:`, error);
+            return 0;
+        } finally {
+            clearTimeout(timeout);
+        }
+    }
+
+    /**
+     * Verify a token/device/driver combination against the Ruckit API
+     * @returns {Promise<{status: string, message: string, checkedAt: string}>}
+     */
+    async function verifyRuckitCredentials(token, device, driver) {
+        const checkedAt = new Date().toISOString();
+        const [truckStatus, driverStatus] = await Promise.all([
+            fetchRuckit(`/trucks/${encodeURIComponent(device)}/`, token),
+            fetchRuckit(`/drivers/${encodeURIComponent(driver)}/`, token)
+        ]);
+        
+        if (truckStatus === 0 || driverStatus === 0 || truckStatus >= 500 || driverStatus >= 500) {
+            return { status: 'unreachable', message: t('verify.unreachable'), checkedAt };
+        }
+        if (truckStatus === 401 || truckStatus === 403) {
+            return { status: 'invalid', message: t('verify.tokenRejected'), checkedAt };
+        }
+        if (truckStatus === 404) {
+            return { status: 'invalid', message: t('verify.deviceNotFound', { device }), checkedAt };
+        }
+        if (driverStatus === 404) {
+            return { status: 'invalid', message: t('verify.driverNotFound', { driver }), checkedAt };
+        }
+        if (truckStatus >= 400 || driverStatus >= 400) {
+            return { status: 'invalid', message: t('verify.httpError', { status: truckStatus >= 400 ? truckStatus : driverStatus }), checkedAt };
+        }
+        
+        return { status: 'valid', message: t('verify.valid'), checkedAt };
+    }
+
+    /**
+     * Render the verification status badge for a device
+     */
+    function renderVerificationStatus(deviceId) {
+        const result = verificationResults[deviceId] || { status: 'untested', message: t('verify.notVerified') };
+        const labels = {
+            valid: t('verify.status.valid'),
+            invalid: t('verify.status.invalid'),
+            unreachable: t('verify.status.unreachable'),
+            untested: t('verify.status.untested'),
+            checking: t('verify.status.checking')
+        };
+        const title = result.checkedAt
+            ? `${result.message} (${formatDate(result.checkedAt, true)})`
+            : result.message;
+        
+        return `<span class="verification-status verification-${result.status}" title="${escapeHtml(title)}">${labels[result.status]}</span>`;
+    }
+
+    /**
+     * Update the status cell of a single row without re-rendering the table
+     */
+    function updateVerificationCell(deviceId) {
+        const row = document.querySelector(`tr[data-device-id="${CSS.escape(deviceId)}"]`);
+        const cell = row && row.querySelector('.verification-cell');
+        if (cell) {
+            cell.innerHTML = renderVerificationStatus(deviceId);
+        }
+    }
+
+    /**
+     * Test the credentials currently entered in a form
+     */
+    async function testConnection(deviceId) {
+        const token = document.getElementById(`token-${deviceId}`)?.value.trim() || getStoredToken(deviceId);
+        const device = document.getElementById(`device-${deviceId}`)?.value.trim() || '';
+        const driver = document.getElementById(`driver-${deviceId}`)?.value.trim() || '';
+        const resultEl = document.getElementById(`test-result-${deviceId}`);
+        const testBtn = document.getElementById(`test-btn-${deviceId}`);
         
         if (!token || !device || !driver) {
-            showAlert('Please fill in all fields', 'danger');
+            setFormError(deviceId, t('verify.missingValues'));
+            return;
+        }
+        
+        if (testBtn) testBtn.disabled = true;
+        if (resultEl) {
+            resultEl.className = 'credential-test-result';
+            resultEl.textContent = t('verify.testing');
+            resultEl.style.display = 'block';
+        }
+        
+        try {
+            const result = await verifyRuckitCredentials(token, device, driver);
+            formTestResults[deviceId] = { key: [token, device, driver].join('|'), result };
+            
+            if (resultEl) {
+                resultEl.className = `credential-test-result verification-${result.status}`;
+                resultEl.textContent = result.message;
+            }
+        } finally {
+            if (testBtn) testBtn.disabled = false;
+        }
+    }
+
+    /**
+     * Verify every mapping in the Ruckit table against the Ruckit API
+     */
+    async function verifyAllCredentials() {
+        const mappings = filterPlaceholderEntries(assetsData);
+        if (mappings.length === 0) return;
+        
+        const verifyBtn = document.getElementById('verifyAllBtn');
+        if (verifyBtn) verifyBtn.disabled = true;
+        
+        let results;
+        try {
+            results = await verifyMappings(mappings, completed => {
+                if (verifyBtn) {
+                    verifyBtn.innerHTML = `<i class="fas fa-spinner fa-spin me-2"></i>${t('verify.progress', { done: completed, count: mappings.length })}`;
+                }
+            });
+        } finally {
+            if (verifyBtn) {
+                verifyBtn.disabled = false;
+                verifyBtn.innerHTML = `<i class="fas fa-check-double me-2"></i>${t('toolbar.verifyAll')}`;
+            }
+        }
+        
+        const counts = { valid: 0, invalid: 0, unreachable: 0 };
+        results.forEach(result => {
+            if (result && counts[result.status] !== undefined) counts[result.status]++;
+        });
+        
+        showAlert(
+            t('verify.summary', { count: mappings.length, ...counts }),
+            counts.invalid > 0 || counts.unreachable > 0 ? 'warning' : 'success'
+        );
+    }
+
+    /**
+     * Check mappings against the Ruckit API, updating their status cells as results come in.
+     * Resolves with one verification result per mapping, in the same order.
+     */
+    async function verifyMappings(mappings, onProgress) {
+        let completed = 0;
+        onProgress(completed);
+        
+        mappings.forEach(mapping => {
+            verificationResults[mapping.details['gt-device']] = { status: 'checking', message: t('verify.status.checking') };
+            updateVerificationCell(mapping.details['gt-device']);
+        });
+        
+        // A few requests at a time so large fleets don't flood the Ruckit API
+        const queue = [...mappings];
+        const worker = async () => {
+            while (queue.length > 0) {
+                const mapping = queue.shift();
+                const details = mapping.details;
+                verificationResults[details['gt-device']] = await verifyRuckitCredentials(
+                    details['ri-token'],
+                    details['ri-device'],
+                    details['ri-driver']
+                );
+                updateVerificationCell(details['gt-device']);
+                completed++;
+                onProgress(completed);
+            }
+        };
+        
+        await Promise.all(Array.from({ length: Math.min(VERIFY_CONCURRENCY, mappings.length) }, worker));
+        renderCoverageDashboard();
+        return mappings.map(mapping => verificationResults[mapping.details['gt-device']]);
+    }
+
+    /**
+     * Get the Geotab device IDs of every row matching a table's current search, on all pages
+     */
+    function getFilteredDeviceIds(table) {
+        return table === 'all'
+            ? filteredAllDevices.map(device => device.id)
+            : filteredData.map(mapping => mapping.details['gt-device']);
+    }
+
+    /**
+     * Select or deselect one row
+     */
+    function toggleRowSelection(table, deviceId, checked) {
+        if (checked) {
+            selectedDeviceIds[table].add(deviceId);
+        } else {
+            selectedDeviceIds[table].delete(deviceId);
+        }
+        updateBulkBar(table);
+    }
+
+    /**
+     * Select or deselect every row matching the current search, including rows on other pages
+     */
+    function toggleSelectAllFiltered(table, checked) {
+        getFilteredDeviceIds(table).forEach(deviceId => {
+            if (checked) {
+                selectedDeviceIds[table].add(deviceId);
+            } else {
+                selectedDeviceIds[table].delete(deviceId);
+            }
+        });
+        syncRowCheckboxes(table);
+        updateBulkBar(table);
+    }
+
+    /**
+     * Deselect every row of a table
+     */
+    function clearSelection(table) {
+        selectedDeviceIds[table].clear();
+        syncRowCheckboxes(table);
+        updateBulkBar(table);
+    }
+
+    /**
+     * Tick the checkboxes of the selected rows on the visible page
+     */
+    function syncRowCheckboxes(table) {
+        const tableBody = document.getElementById(BULK_ELEMENT_IDS[table].body);
+        if (!tableBody) return;
+        
+        tableBody.querySelectorAll('.row-select').forEach(checkbox => {
+            checkbox.checked = selectedDeviceIds[table].has(checkbox.dataset.deviceId);
+        });
+    }
+
+    /**
+     * Drop selected rows that are no longer in their table, e.g. after credentials were added or cleared
+     */
+    function pruneSelection() {
+        const tableDeviceIds = {
+            all: new Set(allDevicesData.filter(device => !deviceHasCredentials(device.id)).map(device => device.id)),
+            ruckit: new Set(filterPlaceholderEntries(assetsData).map(mapping => mapping.details['gt-device']))
+        };
+        
+        Object.keys(selectedDeviceIds).forEach(table => {
+            selectedDeviceIds[table].forEach(deviceId => {
+                if (!tableDeviceIds[table].has(deviceId)) {
+                    selectedDeviceIds[table].delete(deviceId);
+                }
+            });
+        });
+    }
+
+    /**
+     * Show the bulk action bar while rows are selected, and the select-all state of the header checkbox
+     */
+    function updateBulkBar(table) {
+        const ids = BULK_ELEMENT_IDS[table];
+        const selected = selectedDeviceIds[table];
+        const barEl = document.getElementById(ids.bar);
+        const countEl = document.getElementById(ids.count);
+        const selectAll = document.getElementById(ids.selectAll);
+        
+        if (barEl) barEl.style.display = selected.size > 0 ? 'flex' : 'none';
+        if (countEl) countEl.textContent = t('bulk.selected', { count: selected.size });
+        
+        if (selectAll) {
+            const filteredIds = getFilteredDeviceIds(table);
+            const selectedCount = filteredIds.filter(deviceId => selected.has(deviceId)).length;
+            selectAll.checked = filteredIds.length > 0 && selectedCount === filteredIds.length;
+            selectAll.indeterminate = selectedCount > 0 && !selectAll.checked;
+        }
+    }
+
+    /**
+     * Show how far a bulk action has got and lock the bar while it runs. Pass a null label to hide it.
+     */
+    function setBulkProgress(table, label, done = 0, count = 0) {
+        const ids = BULK_ELEMENT_IDS[table];
+        const barEl = document.getElementById(ids.bar);
+        const progressEl = document.getElementById(ids.progress);
+        
+        if (barEl) {
+            barEl.querySelectorAll('button, input').forEach(control => {
+                control.disabled = label !== null;
+            });
+        }
+        if (!progressEl) return;
+        
+        if (label === null) {
+            progressEl.style.display = 'none';
+            progressEl.innerHTML = '';
+            return;
+        }
+        
+        const percent = count > 0 ? Math.round(done / count * 100) : 100;
+        progressEl.style.display = 'flex';
+        progressEl.innerHTML = `
+            <div class="progress">
+                <div class="progress-bar" role="progressbar" style="width: ${percent}%;" aria-valuenow="${percent}" aria-valuemin="0" aria-valuemax="100"></div>
+            </div>
+            <span class="bulk-progress-text">${escapeHtml(t('bulk.progress', { action: label, done, count }))}</span>
+        `;
+    }
+
+    /**
+     * Run a bulk action with a progress indicator, then list how it went for each asset.
+     * work(deviceIds, onProgress) resolves with one { deviceId, success, message } entry per asset.
+     * onProgress(done, count) counts against every asset unless the work passes its own count.
+     * Assets that worked are deselected; failures stay selected so they can be retried.
+     */
+    async function runBulkAction(table, actionKey, deviceIds, work) {
+        if (bulkActionRunning || deviceIds.length === 0) return;
+        bulkActionRunning = true;
+        
+        const label = t(actionKey);
+        let results;
+        setBulkProgress(table, label, 0, deviceIds.length);
+        try {
+            results = await work(deviceIds, (done, count = deviceIds.length) => setBulkProgress(table, label, done, count));
+        } catch (error) {
+            console.error(`Error running bulk action "${label}":`, error);
+            results = deviceIds.map(deviceId => ({ deviceId, success: false, message: error.message }));
+        } finally {
+            setBulkProgress(table, null);
+            bulkActionRunning = false;
+        }
+        
+        results.forEach(result => {
+            if (result.success) selectedDeviceIds[table].delete(result.deviceId);
+        });
+        syncRowCheckboxes(table);
+        updateBulkBar(table);
+        showBulkResults(label, results);
+    }
+
+    /**
+     * Show the per-asset results of a bulk action, failures first
+     */
+    function showBulkResults(label, results) {
+        const panel = document.getElementById('bulkResultsPanel');
+        const summaryEl = document.getElementById('bulkResultsSummary');
+        const tableBody = document.getElementById('bulkResultsTableBody');
+        
+        const failedCount = results.filter(result => !result.success).length;
+        const summary = t('bulk.summary', { action: label, count: results.length, succeeded: results.length - failedCount, failed: failedCount });
+        const sorted = [...results].sort((a, b) => Number(a.success) - Number(b.success));
+        
+        if (summaryEl) summaryEl.textContent = summary;
+        if (tableBody) {
+            tableBody.innerHTML = sorted.map(result => `
+                <tr>
+                    <td>${escapeHtml(getDeviceDisplayName(result.deviceId))}</td>
+                    <td><span class="import-status import-status-${result.success ? 'new' : 'conflict'}">${t(result.success ? 'bulk.status.done' : 'bulk.status.failed')}</span></td>
+                    <td>${escapeHtml(result.message || '')}</td>
+                </tr>
+            `).join('');
+        }
+        if (panel) panel.style.display = 'block';
+        
+        showAlert(summary, failedCount > 0 ? 'warning' : 'success');
+    }
+
+    /**
+     * Hide the bulk action results
+     */
+    function hideBulkResults() {
+        const panel = document.getElementById('bulkResultsPanel');
+        if (panel) panel.style.display = 'none';
+    }
+
+    /**
+     * Get the stored version of several mappings in one batch. Mappings that are gone are left out.
+     */
+    async function getCurrentMappingsById(mappings) {
+        const results = await makeGeotabMultiCall(mappings.map(mapping => ["Get", "AddInData", { search: { id: mapping.id } }]));
+        const currentMappings = new Map();
+        results.forEach((result, index) => {
+            const record = result.success && result.result ? result.result[0] : null;
+            if (record) currentMappings.set(mappings[index].id, record);
+        });
+        return currentMappings;
+    }
+
+    /**
+     * Write new details to several mappings, skipping any that another user changed since they were loaded.
+     * Resolves with one { deviceId, success, message } entry per change.
+     */
+    async function writeBulkMappingChanges(changes, auditAction, note, onProgress) {
+        const results = [];
+        
+        for (let start = 0; start < changes.length; start += MULTICALL_CHUNK_SIZE) {
+            const chunk = changes.slice(start, start + MULTICALL_CHUNK_SIZE);
+            const currentMappings = await getCurrentMappingsById(chunk.map(change => change.mapping));
+            const unchanged = chunk.filter(change => {
+                const currentMapping = currentMappings.get(change.mapping.id);
+                return currentMapping && currentMapping.version === change.mapping.version;
+            });
+            
+            const writeResults = await makeGeotabMultiCall(
+                unchanged.map(change => ["Set", "AddInData", { entity: { ...change.mapping, details: change.details } }])
+            );
+            
+            const auditEntries = [];
+            chunk.forEach(change => {
+                const deviceId = change.mapping.details['gt-device'];
+                const writeResult = writeResults[unchanged.indexOf(change)];
+                
+                if (!writeResult) {
+                    results.push({ deviceId, success: false, message: t('bulk.changedByOther') });
+                } else if (!writeResult.success) {
+                    console.error(`Error updating mapping ${change.mapping.id}:`, writeResult.error);
+                    results.push({ deviceId, success: false, message: writeResult.error?.message || String(writeResult.error) });
+                } else {
+                    results.push({ deviceId, success: true, message: '' });
+                    auditEntries.push({
+                        action: auditAction,
+                        deviceId: deviceId,
+                        before: change.mapping.details,
+                        after: change.details,
+                        note: note
+                    });
+                }
+            });
+            await writeAuditRecords(auditEntries);
+            
+            onProgress(Math.min(start + chunk.length, changes.length));
+        }
+        
+        return results;
+    }
+
+    /**
+     * Split selected devices into mapping changes and failures for devices without a mapping
+     */
+    function buildBulkChanges(deviceIds, getDetails) {
+        const changes = [];
+        const failures = [];
+        
+        deviceIds.forEach(deviceId => {
+            const mapping = findExistingMappingForDevice(deviceId);
+            if (!mapping) {
+                failures.push({ deviceId, success: false, message: t('clear.noMapping') });
+                return;
+            }
+            
+            const details = getDetails(mapping);
+            if (details.error) {
+                failures.push({ deviceId, success: false, message: details.error });
+                return;
+            }
+            changes.push({ mapping, details });
+        });
+        
+        return { changes, failures };
+    }
+
+    /**
+     * Clear the Ruckit credentials of every selected asset with credentials
+     */
+    async function bulkClearCredentials() {
+        const deviceIds = [...selectedDeviceIds.ruckit];
+        if (deviceIds.length === 0 || bulkActionRunning) return;
+        
+        if (!confirm(t('bulk.clearConfirm', { count: deviceIds.length }))) {
+            return;
+        }
+        
+        await runBulkAction('ruckit', 'bulk.clearAction', deviceIds, async (ids, onProgress) => {
+            const { changes, failures } = buildBulkChanges(ids, mapping => ({
+                ...mapping.details,
+                'ri-token': 'TOKEN',
+                'ri-device': 'DeviceID',
+                'ri-driver': 'DriverID',
+                'date': new Date().toISOString()
+            }));
+            
+            const results = await writeBulkMappingChanges(changes, 'clear', 'Cleared in a bulk action', onProgress);
+            results.filter(result => result.success).forEach(result => {
+                delete verificationResults[result.deviceId];
+                cancelCredentialForm(result.deviceId);
+            });
+            
+            await loadRuckitAssets();
+            return failures.concat(results);
+        });
+    }
+
+    /**
+     * Find a mapping outside the given devices that already uses a token
+     */
+    function findOtherTokenHolder(token, deviceIds) {
+        const ids = new Set(deviceIds);
+        return filterPlaceholderEntries(activeMappingsData).find(mapping =>
+            mapping.details['ri-token'] === token && !ids.has(mapping.details['gt-device'])
+        ) || null;
+    }
+
+    /**
+     * Give every selected asset the same Ruckit token. Assets with credentials are updated in place;
+     * assets without get a credential form with the token filled in, since their Ruckit IDs are still needed.
+     */
+    async function bulkApplyToken(table) {
+        const deviceIds = [...selectedDeviceIds[table]];
+        if (deviceIds.length === 0 || bulkActionRunning) return;
+        
+        const tokenInput = document.getElementById(BULK_ELEMENT_IDS[table].token);
+        const token = tokenInput ? tokenInput.value.trim() : '';
+        
+        if (!token || token === 'TOKEN') {
+            showAlert(t('bulk.tokenRequired'), 'danger');
             return;
         }
         
-        if (token === 'TOKEN' || device === 'DeviceID' || driver === 'DriverID') {
-            showAlert('Please enter actual values, not default placeholders', 'danger');
+        const formatError = validateFieldFormat('token', token);
+        if (formatError) {
+            showAlert(formatError, 'danger');
             return;
         }
         
-        try {
-            // Validate credentials
-            const validationError = await validateCredentials(token, device, driver, deviceId);
-            if (validationError) {
-                showAlert(validationError, 'danger');
+        // Only some Ruckit contracts allow one token on several trucks
+        if (!settings.allowSharedTokens) {
+            if (deviceIds.length > 1) {
+                showAlert(t('bulk.sharedTokensOff'), 'warning');
                 return;
             }
+            const holder = findOtherTokenHolder(token, deviceIds);
+            if (holder) {
+                showAlert(t('validation.tokenInUse', { value: maskToken(token), device: holder.details.name || t('common.unknownDevice') }), 'danger');
+                return;
+            }
+        }
+        
+        if (table === 'all') {
+            openPrefilledForms(new Map(deviceIds.map(deviceId => [deviceId, { token: token }])));
+            showAlert(t('bulk.formsOpened', { count: deviceIds.length }), 'info');
+            if (tokenInput) tokenInput.value = '';
+            return;
+        }
+        
+        if (!confirm(t('bulk.applyTokenConfirm', { count: deviceIds.length }))) {
+            return;
+        }
+        
+        await runBulkAction('ruckit', 'bulk.applyTokenAction', deviceIds, async (ids, onProgress) => {
+            const { changes, failures } = buildBulkChanges(ids, mapping => {
+                const valuesError = validateCredentialFormat({
+                    token: token,
+                    device: mapping.details['ri-device'],
+                    driver: mapping.details['ri-driver']
+                });
+                if (valuesError) return { error: valuesError.message };
+                
+                return { ...mapping.details, 'ri-token': token, 'date': new Date().toISOString() };
+            });
             
-            // Get device info for serial number
-            const devices = await makeGeotabCall("Get", "Device", { search: { id: deviceId } });
-            const serialNumber = devices && devices[0] ? devices[0].serialNumber : '';
-            
-            const existingMapping = findExistingMappingForDevice(deviceId);
-            
-            const mappingData = {
-                addInId: "aTMyNTA4NjktMzIxOC02YTQ",
-                details: {
-                    'date': new Date().toISOString(),
-                    'gt-device': deviceId,
-                    'name': deviceName,
-                    'gt-sn': serialNumber,
-                    'ri-token': token,
-                    'ri-device': device,
-                    'ri-driver': driver,
-                    'type': 'ri-device'
-                },
-                id: null
-            };
+            const results = await writeBulkMappingChanges(changes, 'save', 'Token applied in a bulk action', onProgress);
+            results.filter(result => result.success).forEach(result => {
+                delete verificationResults[result.deviceId];
+            });
             
-            if (existingMapping) {
-                mappingData.id = existingMapping.id;
-                mappingData.version = existingMapping.version;
-                await makeGeotabCall("Set", "AddInData", { entity: mappingData });
-            } else {
-                await makeGeotabCall("Add", "AddInData", { entity: mappingData });
+            await loadRuckitAssets();
+            return failures.concat(results);
+        });
+        
+        if (tokenInput) tokenInput.value = '';
+    }
+
+    /**
+     * Open a credential form for each device with some of its inputs filled in, on any page of the table.
+     * valuesByDeviceId maps a device ID to input values keyed by FORM_INPUT_PREFIXES.
+     */
+    function openPrefilledForms(valuesByDeviceId) {
+        valuesByDeviceId.forEach((values, deviceId) => {
+            if (!openCredentialForms[deviceId]) {
+                openCredentialForms[deviceId] = {
+                    deviceName: getDeviceDisplayName(deviceId),
+                    baseMapping: findExistingMappingForDevice(deviceId),
+                    values: {}
+                };
             }
+        });
+        
+        // Re-rendering opens the forms on the visible page; the rest open when their page is shown
+        renderAllDevicesTable(filteredAllDevices);
+        valuesByDeviceId.forEach((values, deviceId) => {
+            const openForm = openCredentialForms[deviceId];
+            openForm.values = { ...openForm.values, ...values };
             
-            showAlert('Credentials saved successfully!', 'success');
-            cancelCredentialForm(deviceId);
+            Object.entries(values).forEach(([prefix, value]) => {
+                const input = document.getElementById(`${prefix}-${deviceId}`);
+                if (input) input.value = value;
+            });
+        });
+    }
+
+    /**
+     * Check the selected assets' credentials against the Ruckit API again
+     */
+    async function bulkVerifyCredentials() {
+        await runBulkAction('ruckit', 'bulk.verifyAction', [...selectedDeviceIds.ruckit], async (ids, onProgress) => {
+            const mappings = ids.map(deviceId => findExistingMappingForDevice(deviceId));
+            const toVerify = mappings.filter(Boolean);
+            const verified = await verifyMappings(toVerify, done => onProgress(done, toVerify.length));
             
-            // Reload data
-            await loadRuckitAssets();
+            return ids.map((deviceId, index) => {
+                const mapping = mappings[index];
+                if (!mapping) {
+                    return { deviceId, success: false, message: t('clear.noMapping') };
+                }
+                const result = verified[toVerify.indexOf(mapping)];
+                return { deviceId, success: result.status === 'valid', message: result.message };
+            });
+        });
+    }
+
+    /**
+     * Export the selected assets' mappings as CSV or JSON
+     */
+    async function bulkExportMappings(format) {
+        const deviceIds = [...selectedDeviceIds.ruckit];
+        if (deviceIds.length === 0 || bulkActionRunning) return;
+        
+        const maskTokens = await getExportMaskTokens();
+        if (maskTokens === null) return;
+        
+        await runBulkAction('ruckit', 'bulk.exportAction', deviceIds, async (ids, onProgress) => {
+            const mappings = [];
+            const results = ids.map((deviceId, index) => {
+                const mapping = findExistingMappingForDevice(deviceId);
+                onProgress(index + 1);
+                if (!mapping) {
+                    return { deviceId, success: false, message: t('clear.noMapping') };
+                }
+                mappings.push(mapping);
+                return { deviceId, success: true, message: maskTokens ? t('bulk.exportedMasked') : '' };
+            });
+            
+            if (mappings.length > 0) {
+                downloadMappings(format, mappings, maskTokens);
+            }
+            return results;
+        });
+    }
+
+    /**
+     * Get a display name for a Geotab user
+     */
+    function getDriverDisplayName(user) {
+        const fullName = [user.firstName, user.lastName].filter(Boolean).join(' ').trim();
+        return fullName ? `${fullName} (${user.name})` : user.name;
+    }
+
+    /**
+     * Load Geotab drivers and remembered Ruckit driver IDs once per session
+     */
+    async function ensureDriverDataLoaded() {
+        if (geotabDrivers) return;
+        
+        try {
+            const [users, records] = await Promise.all([
+                getAllPaged("User", { isDriver: true }),
+                getAllPaged("AddInData", { whereClause: 'type = "ri-driver-map"' })
+            ]);
             
+            const now = new Date();
+            geotabDrivers = users
+                .filter(user => !user.activeTo || new Date(user.activeTo) > now)
+                .sort((a, b) => getDriverDisplayName(a).localeCompare(getDriverDisplayName(b)));
+            driverMappingRecords = records;
         } catch (error) {
-            console.error('Error saving credentials:', error);
-            showAlert('Error saving credentials: ' + error.message, 'danger');
+            console.error('Error loading drivers:', error);
+            geotabDrivers = [];
+            driverMappingRecords = [];
         }
-    };
+        
+        const datalist = document.getElementById('geotabDriversList');
+        if (datalist) {
+            datalist.innerHTML = geotabDrivers
+                .map(user => `<option value="${escapeHtml(getDriverDisplayName(user))}"></option>`)
+                .join('');
+        }
+    }
 
     /**
-     * Clear credentials
+     * Get the Ruckit driver ID remembered for a Geotab driver
      */
-    window.clearCredentials = async function(deviceId, deviceName) {
-        if (!confirm(`Are you sure you want to clear Ruckit credentials for ${deviceName}?`)) {
-            return;
+    function getRememberedRuckitDriver(userId) {
+        const record = driverMappingRecords.find(item => item.details && item.details['gt-user'] === userId);
+        return record ? record.details['ri-driver'] : null;
+    }
+
+    /**
+     * Get the driver Geotab currently has assigned to a device, from its latest DriverChange
+     */
+    async function getCurrentDriverForDevice(deviceId) {
+        if (currentDeviceDrivers[deviceId] !== undefined) {
+            return currentDeviceDrivers[deviceId];
         }
         
         try {
-            const existingMapping = findExistingMappingForDevice(deviceId);
-            
-            if (!existingMapping) {
-                showAlert('No mapping found to clear', 'info');
-                return;
-            }
-            
-            const devices = await makeGeotabCall("Get", "Device", { search: { id: deviceId } });
-            const serialNumber = devices && devices[0] ? devices[0].serialNumber : '';
-            
-            const mappingData = {
-                addInId: "aTMyNTA4NjktMzIxOC02YTQ",
-                details: {
-                    'date': new Date().toISOString(),
-                    'gt-device': deviceId,
-                    'name': deviceName,
-                    'gt-sn': serialNumber,
-                    'ri-token': 'TOKEN',
-                    'ri-device': 'DeviceID',
-                    'ri-driver': 'DriverID',
-                    'type': 'ri-device'
-                },
-                id: existingMapping.id,
-                version: existingMapping.version
-            };
-            
-            await makeGeotabCall("Set", "AddInData", { entity: mappingData });
+            const now = new Date().toISOString();
+            const changes = await makeGeotabCall("Get", "DriverChange", {
+                search: {
+                    deviceSearch: { id: deviceId },
+                    fromDate: now,
+                    toDate: now,
+                    includeOverlappedChanges: true
+                }
+            }) || [];
             
-            showAlert('Credentials cleared successfully!', 'success');
+            const latest = changes
+                .filter(change => change.driver && change.driver.id && change.driver.id !== 'UnknownDriverId')
+                .sort((a, b) => (b.dateTime || '').localeCompare(a.dateTime || ''))[0];
             
-            // Close the form
-            cancelCredentialForm(deviceId);
+            currentDeviceDrivers[deviceId] = latest
+                ? (geotabDrivers || []).find(user => user.id === latest.driver.id) || null
+                : null;
+        } catch (error) {
+            console.error('Error loading current driver:', error);
+            currentDeviceDrivers[deviceId] = null;
+        }
+        
+        return currentDeviceDrivers[deviceId];
+    }
+
+    /**
+     * Get the Geotab driver picked in a credential form
+     */
+    function getSelectedGeotabDriver(deviceId) {
+        const input = document.getElementById(`gt-driver-${deviceId}`);
+        const value = input ? input.value.trim() : '';
+        if (!value || !geotabDrivers) return null;
+        
+        return geotabDrivers.find(user => getDriverDisplayName(user) === value) || null;
+    }
+
+    /**
+     * Wire up the Geotab driver autocomplete and current-driver hint in a credential form
+     */
+    async function setupDriverPicker(deviceId, existingRuckitDriver) {
+        const pickerInput = document.getElementById(`gt-driver-${deviceId}`);
+        const driverInput = document.getElementById(`driver-${deviceId}`);
+        if (!pickerInput || !driverInput) return;
+        
+        await ensureDriverDataLoaded();
+        const currentDriver = await getCurrentDriverForDevice(deviceId);
+        
+        // The form may have been closed while loading
+        if (!document.getElementById(`gt-driver-${deviceId}`)) return;
+        
+        const currentDriverEl = document.getElementById(`current-driver-${deviceId}`);
+        if (currentDriverEl) {
+            currentDriverEl.innerHTML = currentDriver
+                ? `<i class="fas fa-id-badge me-1"></i>${t('driver.current', { driver: `<strong>${escapeHtml(getDriverDisplayName(currentDriver))}</strong>` })}`
+                : `<i class="fas fa-id-badge me-1"></i>${t('driver.none')}`;
+        }
+        
+        // Preselect the driver already mapped to this Ruckit ID, else whoever is driving now
+        const mappedDriver = existingRuckitDriver
+            ? geotabDrivers.find(user => getRememberedRuckitDriver(user.id) === existingRuckitDriver)
+            : null;
+        const initialDriver = mappedDriver || currentDriver;
+        if (initialDriver && !pickerInput.value) {
+            pickerInput.value = getDriverDisplayName(initialDriver);
+            if (!driverInput.value && getRememberedRuckitDriver(initialDriver.id)) {
+                driverInput.value = getRememberedRuckitDriver(initialDriver.id);
+            }
+        }
+        
+        pickerInput.addEventListener('change', () => {
+            const selectedDriver = getSelectedGeotabDriver(deviceId);
+            const rememberedId = selectedDriver ? getRememberedRuckitDriver(selectedDriver.id) : null;
+            if (rememberedId) {
+                driverInput.value = rememberedId;
+                driverInput.dispatchEvent(new Event('input'));
+            }
+            updateDriverWarning(deviceId);
+        });
+        driverInput.addEventListener('input', () => updateDriverWarning(deviceId));
+        
+        updateDriverWarning(deviceId);
+    }
+
+    /**
+     * Warn when the Ruckit driver in the form doesn't match who Geotab says is driving
+     */
+    function updateDriverWarning(deviceId) {
+        const warningEl = document.getElementById(`driver-warning-${deviceId}`);
+        const driverInput = document.getElementById(`driver-${deviceId}`);
+        if (!warningEl || !driverInput) return;
+        
+        const currentDriver = currentDeviceDrivers[deviceId];
+        const selectedDriver = getSelectedGeotabDriver(deviceId);
+        const ruckitDriver = driverInput.value.trim();
+        let warning = '';
+        
+        if (currentDriver) {
+            const currentRuckitDriver = getRememberedRuckitDriver(currentDriver.id);
+            const currentName = getDriverDisplayName(currentDriver);
             
-            // Reload data
-            await loadRuckitAssets();
+            if (selectedDriver && selectedDriver.id !== currentDriver.id) {
+                warning = t('driver.otherDriver', { current: currentName, selected: getDriverDisplayName(selectedDriver) });
+            } else if (currentRuckitDriver && ruckitDriver && currentRuckitDriver !== ruckitDriver) {
+                warning = t('driver.ruckitMismatch', { driver: ruckitDriver, current: currentName, currentDriver: currentRuckitDriver });
+            }
+        }
+        
+        warningEl.textContent = warning;
+        warningEl.style.display = warning ? 'block' : 'none';
+    }
+
+    /**
+     * Store the Ruckit driver ID for a Geotab driver
+     */
+    async function rememberDriverMapping(user, ruckitDriver) {
+        const existingRecord = driverMappingRecords.find(item => item.details && item.details['gt-user'] === user.id);
+        if (existingRecord && existingRecord.details['ri-driver'] === ruckitDriver) return;
+        
+        const details = {
+            'type': 'ri-driver-map',
+            'date': new Date().toISOString(),
+            'gt-user': user.id,
+            'name': getDriverDisplayName(user),
+            'ri-driver': ruckitDriver
+        };
+        
+        try {
+            if (existingRecord) {
+                const updatedRecord = { ...existingRecord, details: details };
+                await makeGeotabCall("Set", "AddInData", { entity: updatedRecord });
+            } else {
+                await makeGeotabCall("Add", "AddInData", { entity: { addInId: ADDIN_ID, details: details } });
+            }
             
+            driverMappingRecords = await getAllPaged("AddInData", { whereClause: 'type = "ri-driver-map"' });
         } catch (error) {
-            console.error('Error clearing credentials:', error);
-            showAlert('Error clearing credentials: ' + error.message, 'danger');
+            console.error('Error remembering Ruckit driver:', error);
+            showAlert(t('driver.rememberError', { driver: getDriverDisplayName(user) }), 'warning');
+        }
+    }
+
+    /**
+     * Get the stored token for a device's mapping, or '' if it only holds the placeholder
+     */
+    function getStoredToken(deviceId) {
+        const mapping = findExistingMappingForDevice(deviceId);
+        const token = mapping?.details?.['ri-token'] || '';
+        return token === 'TOKEN' ? '' : token;
+    }
+
+    /**
+     * Get the Geotab user record for the current session, cached unless refresh is set
+     */
+    async function getCurrentUser(refresh = false) {
+        if (currentUser && !refresh) return currentUser;
+        
+        const userName = await getCurrentUserName();
+        const users = await makeGeotabCall("Get", "User", { search: { name: userName } });
+        currentUser = users && users[0] ? users[0] : null;
+        return currentUser;
+    }
+
+    /**
+     * Check whether the current user has administrator clearance, required to change settings
+     */
+    async function hasAdminClearance(refresh = false) {
+        try {
+            const user = await getCurrentUser(refresh);
+            return !!user && (user.securityGroups || []).some(group => ADMIN_CLEARANCE_IDS.includes(group.id));
+        } catch (error) {
+            console.error('Error checking security clearance:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Check whether the current user's security clearance allows revealing tokens.
+     * Administrators always can; other clearances only when an administrator listed them in settings.
+     */
+    async function canRevealTokens() {
+        try {
+            const user = await getCurrentUser();
+            const allowedIds = [...ADMIN_CLEARANCE_IDS, ...(settings.revealClearanceIds || DEFAULT_SETTINGS.revealClearanceIds)];
+            return !!user && (user.securityGroups || []).some(group => allowedIds.includes(group.id));
+        } catch (error) {
+            console.error('Error checking security clearance:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Reveal or re-mask a token in the credentials row
+     */
+    async function revealToken(deviceId) {
+        const valueEl = document.getElementById(`token-value-${deviceId}`);
+        const revealBtn = document.getElementById(`token-reveal-${deviceId}`);
+        const token = getStoredToken(deviceId);
+        if (!valueEl || !token) return;
+        
+        if (valueEl.dataset.revealed === 'true') {
+            valueEl.textContent = maskToken(token);
+            valueEl.dataset.revealed = 'false';
+            if (revealBtn) {
+                revealBtn.innerHTML = '<i class="fas fa-eye"></i>';
+                revealBtn.title = t('token.reveal');
+            }
+            return;
+        }
+        
+        if (!(await canRevealTokens())) {
+            showAlert(t('token.revealNotAllowed'), 'warning');
+            return;
+        }
+        
+        valueEl.textContent = token;
+        valueEl.dataset.revealed = 'true';
+        if (revealBtn) {
+            revealBtn.innerHTML = '<i class="fas fa-eye-slash"></i>';
+            revealBtn.title = t('token.hide');
+        }
+        
+        await writeAuditRecords([{ action: 'reveal', deviceId: deviceId, before: null, after: null, note: 'Token revealed' }]);
+    }
+
+    /**
+     * Copy a token to the clipboard without showing it
+     */
+    async function copyToken(deviceId) {
+        const token = getStoredToken(deviceId);
+        if (!token) return;
+        
+        if (!(await canRevealTokens())) {
+            showAlert(t('token.copyNotAllowed'), 'warning');
+            return;
+        }
+        
+        try {
+            await navigator.clipboard.writeText(token);
+            showAlert(t('token.copied'), 'success');
+            await writeAuditRecords([{ action: 'copy', deviceId: deviceId, before: null, after: null, note: 'Token copied to clipboard' }]);
+        } catch (error) {
+            console.error('Error copying token:', error);
+            showAlert(t('token.copyError'), 'danger');
+        }
+    }
+
+    /** Message catalogs used by t(), keyed by base language */
+    const MESSAGES = {
+        en: {
+            'load.apiNotInitialized': 'Geotab API not initialized. Please refresh the page.',
+            'load.loaded': { one: 'Loaded {count} active asset, {withCredentials} with Ruckit credentials', other: 'Loaded {count} active assets, {withCredentials} with Ruckit credentials' },
+            'load.inSelectedGroups': 'in the selected groups',
+            'load.retiredHidden': { one: '({count} retired asset hidden)', other: '({count} retired assets hidden)' },
+            'load.namesUpdated': { one: '({count} name updated)', other: '({count} names updated)' },
+            'load.error': 'Error loading assets: {error}',
+            'load.renameFailed': { one: 'Could not update {count} asset name in Ruckit mappings', other: 'Could not update {count} asset names in Ruckit mappings' },
+            'table.noResultsTitle': 'No Results Found',
+            'table.noResultsText': 'No assets match your search criteria.',
+            'table.allConfiguredTitle': 'All Assets Have Credentials',
+            'table.allConfiguredText': 'All assets have been configured with Ruckit credentials.',
+            'table.noRuckitTitle': 'No Ruckit Assets Found',
+            'table.noRuckitText': 'No assets with Ruckit credentials yet.',
+            'table.addCredentials': 'Add Credentials',
+            'table.showCredentials': 'Show Credentials',
+            'table.hideCredentials': 'Hide Credentials',
+            'table.edit': 'Edit',
+            'table.history': 'History',
+            'table.viewAsset': 'View Asset',
+            'table.viewAssetUnavailable': 'Can\'t open the asset page from here',
+            'table.serialNumber': 'SN {serial}',
+            'table.updated': 'Updated {date}',
+            'table.assetName': 'Asset Name',
+            'table.withoutTitle': 'Assets Without Ruckit Credentials',
+            'table.withTitle': 'Assets with Ruckit Credentials',
+            'table.actions': 'Actions',
+            'table.loadingAssets': 'Loading assets...',
+            'table.status': 'Status',
+            'field.token': 'Ruckit Token',
+            'field.device': 'Ruckit Device ID',
+            'field.driver': 'Ruckit Driver ID',
+            'token.reveal': 'Reveal token',
+            'token.copy': 'Copy token',
+            'token.revealNotAllowed': 'Your security clearance does not allow revealing Ruckit tokens',
+            'token.copyNotAllowed': 'Your security clearance does not allow copying Ruckit tokens',
+            'token.copied': 'Token copied to clipboard',
+            'token.copyError': 'Could not copy the token to the clipboard',
+            'token.hide': 'Hide token',
+            'common.notAvailable': 'N/A',
+            'common.dismiss': 'Dismiss',
+            'common.cancel': 'Cancel',
+            'common.save': 'Save',
+            'common.unknownDevice': 'Unknown Device',
+            'common.unknownUser': 'Unknown user',
+            'common.loading': 'Loading...',
+            'common.cannotBeUndone': 'This cannot be undone.',
+            'common.failedCount': '({count} failed)',
+            'common.close': 'Close',
+            'groupFilter.active': 'Group filter active:',
+            'groupFilter.count': { one: '({shown} of {count} active asset)', other: '({shown} of {count} active assets)' },
+            'search.showingFiltered': { one: 'Showing {shown} of {count} asset', other: 'Showing {shown} of {count} assets' },
+            'search.showingAll': 'Showing all assets',
+            'search.total': 'Total: {count}',
+            'search.availableTitle': 'Search Available Assets',
+            'search.ruckitTitle': 'Search Ruckit Assets',
+            'search.placeholder': 'Name, or sn: ruckit: driver: group: type: changed:7 added:7',
+            'search.chip.changed': 'Changed in the last N days',
+            'search.chip.added': 'Added to Geotab in the last N days',
+            'search.chip.type': 'Device type',
+            'search.chip.group': 'Geotab group',
+            'search.chip.ruckit': 'Ruckit device ID',
+            'search.chip.driver': 'Ruckit driver ID',
+            'search.chip.sn': 'Serial number',
+            'pagination.range': '{start}-{end} of {count}',
+            'pagination.first': 'First page',
+            'pagination.previous': 'Previous page',
+            'pagination.next': 'Next page',
+            'pagination.last': 'Last page',
+            'pagination.page': 'Page {page} of {count}',
+            'form.tokenKeepPlaceholder': 'Leave blank to keep current token ({token})',
+            'form.tokenPlaceholder': 'Enter token',
+            'form.devicePlaceholder': 'Enter device ID',
+            'form.geotabDriver': 'Geotab Driver',
+            'form.geotabDriverPlaceholder': 'Start typing a driver name',
+            'form.driverPlaceholder': 'Enter driver ID',
+            'form.clear': 'Clear',
+            'form.test': 'Test',
+            'validation.tokenInUse': 'Token "{value}" is already in use by device "{device}"',
+            'validation.deviceInUse': 'Device ID "{value}" is already in use by device "{device}"',
+            'validation.driverInUse': 'Driver ID "{value}" is already in use by device "{device}"',
+            'validation.error': 'Error validating credentials',
+            'validation.prefix': '{label} must start with "{prefix}"',
+            'validation.minLength': { one: '{label} must be at least {count} character', other: '{label} must be at least {count} characters' },
+            'validation.maxLength': { one: '{label} must be at most {count} character', other: '{label} must be at most {count} characters' },
+            'validation.charset': '{label} allows only: {charset}',
+            'validation.pattern': '{label} does not match the required format',
+            'validation.required': 'This field is required',
+            'validation.fillAllFields': 'Please fill in all fields',
+            'validation.placeholderField': 'Enter an actual value, not the default placeholder',
+            'validation.placeholders': 'Please enter actual values, not default placeholders',
+            'charset.any': 'Any characters',
+            'charset.noWhitespace': 'No spaces',
+            'charset.alphanumeric': 'Letters and digits',
+            'charset.numeric': 'Digits only',
+            'charset.hex': 'Hexadecimal',
+            'save.error': 'Error saving credentials: {error}',
+            'save.success': 'Credentials saved successfully!',
+            'conflict.recently': 'recently',
+            'conflict.changedByOther': 'This mapping was changed by another user ({date}) after you opened it.',
+            'conflict.field': 'Field',
+            'conflict.theirs': 'Theirs',
+            'conflict.mine': 'Mine',
+            'conflict.keepTheirs': 'Keep Theirs',
+            'conflict.overwrite': 'Overwrite',
+            'conflict.merge': 'Merge',
+            'conflict.alert': '{device} was changed by another user. Review the differences before saving.',
+            'clear.confirm': 'Are you sure you want to clear Ruckit credentials for {device}?',
+            'clear.noMapping': 'No mapping found to clear',
+            'clear.conflict': '{device} was changed by another user. The list has been refreshed; review it before clearing.',
+            'clear.success': 'Credentials cleared successfully!',
+            'clear.error': 'Error clearing credentials: {error}',
+            'settings.minAboveMax': '{label}: min length is greater than max length',
+            'settings.invalidRegex': '{label}: invalid regex ({error})',
+            'settings.invalidUrl': 'Ruckit API URL must be https://api.goruckit.com or a localhost address. Only localhost may use http://',
+            'settings.notAllowed': 'Only administrators can change settings',
+            'settings.saved': 'Settings saved',
+            'settings.saveError': 'Error saving settings: {error}',
+            'settings.baseUrl': 'Ruckit API URL:',
+            'settings.baseUrlHelp': 'Used by Test and Verify All. Point it at a local mock server for testing.',
+            'settings.clearances': 'Clearances allowed to reveal tokens:',
+            'settings.clearancesHelp': 'Comma-separated security clearance IDs. Administrators always can; everyone else only sees masked tokens.',
+            'settings.rules': 'Credential format rules:',
+            'settings.rulePrefix': 'Prefix',
+            'settings.ruleMinLength': 'Min length',
+            'settings.ruleMaxLength': 'Max length',
+            'settings.ruleCharset': 'Characters',
+            'settings.rulePattern': 'Regex',
+            'settings.rulesHelp': 'Checked while typing, on save, and during imports and other bulk changes. Leave a cell blank for no limit.',
+            'import.unmatched': 'No active asset named or with serial "{asset}"',
+            'import.duplicateAsset': 'Asset appears more than once in the file',
+            'import.missingValues': 'Missing token, device ID or driver ID',
+            'import.placeholders': 'Default placeholder values cannot be imported',
+            'import.maskedToken': 'The token is masked. Export with tokens unmasked to re-import it.',
+            'import.replaces': 'Replaces device {device} / driver {driver}',
+            'import.status.new': 'new',
+            'import.status.update': 'update',
+            'import.status.conflict': 'conflict',
+            'import.status.unmatched': 'unmatched',
+            'import.summary': '{new} new, {update} update, {conflict} conflict, {unmatched} unmatched',
+            'import.apply': { one: 'Import {count} row', other: 'Import {count} rows' },
+            'import.noRows': 'The selected file has no rows to import',
+            'import.readError': 'Error reading import file: {error}',
+            'import.imported': { one: 'Imported {count} mapping', other: 'Imported {count} mappings' },
+            'import.failedLines': { one: '({count} failed: line {lines})', other: '({count} failed: lines {lines})' },
+            'import.title': 'Import Preview',
+            'import.line': 'Line',
+            'import.csvAsset': 'CSV Asset',
+            'import.matchedAsset': 'Matched Asset',
+            'import.status': 'Status',
+            'import.details': 'Details',
+            'import.importButton': 'Import',
+            'export.notAllowed': 'Your security clearance does not allow exporting unmasked tokens',
+            'export.done': { one: 'Exported {count} mapping', other: 'Exported {count} mappings' },
+            'export.doneMasked': { one: 'Exported {count} mapping with masked tokens', other: 'Exported {count} mappings with masked tokens' },
+            'export.error': 'Error exporting mappings: {error}',
+            'audit.field.name': 'Name',
+            'audit.field.serial': 'Serial',
+            'audit.field.token': 'Token',
+            'audit.empty': 'No changes recorded for this asset yet.',
+            'audit.emptyValue': '(empty)',
+            'audit.noFieldChanges': 'No field changes',
+            'audit.latestOnly': { one: 'Showing the latest change only.', other: 'Showing the latest {count} changes only.' },
+            'audit.action.save': 'save',
+            'audit.action.clear': 'clear',
+            'audit.action.rename': 'rename',
+            'audit.action.import': 'import',
+            'audit.action.remove': 'remove',
+            'audit.action.repair': 'repair',
+            'audit.action.reveal': 'reveal',
+            'audit.action.copy': 'copy',
+            'audit.action.transfer': 'transfer',
+            'audit.hideHistory': 'Hide History',
+            'audit.loadError': 'Error loading history: {error}',
+            'cleanup.reason.orphaned': 'Asset no longer exists',
+            'cleanup.reason.retired': 'Asset is retired',
+            'cleanup.reason.placeholder': 'Placeholder values only',
+            'cleanup.emptyTitle': 'Nothing to Clean Up',
+            'cleanup.emptyText': 'Every Ruckit mapping belongs to an active asset.',
+            'cleanup.notAllowed': 'Only administrators can remove mappings',
+            'cleanup.devicesNotLoaded': 'Assets could not be loaded, so Cleanup can\'t tell which mappings are orphaned. Refresh and try again.',
+            'cleanup.removeSelected': 'Remove {count} selected',
+            'cleanup.confirm': { one: 'Permanently remove {count} Ruckit mapping?', other: 'Permanently remove {count} Ruckit mappings?' },
+            'cleanup.confirmOrphaned': 'Orphaned: {count}',
+            'cleanup.confirmRetired': 'Retired: {count}',
+            'cleanup.confirmPlaceholder': 'Placeholder-only: {count}',
+            'cleanup.removed': { one: 'Removed {count} mapping', other: 'Removed {count} mappings' },
+            'cleanup.summary': '{orphaned} orphaned, {retired} retired, {placeholder} placeholder-only',
+            'cleanup.title': 'Mapping Cleanup',
+            'cleanup.geotabDevice': 'Geotab Device',
+            'cleanup.reason': 'Reason',
+            'cleanup.lastUpdated': 'Last Updated',
+            'cleanup.remove': 'Remove',
+            'health.duplicateMappings': '{device} has {count} Ruckit mappings',
+            'health.removeDuplicates': 'Remove duplicates',
+            'health.sharedCredential': '{label} "{value}" is used by {devices}',
+            'health.missingSerial': '{device} has no serial number stored',
+            'health.storeSerial': 'Store serial',
+            'health.serialMismatch': '{device} stores serial {stored} but the device is now {current}',
+            'health.updateSerial': 'Update serial',
+            'health.critical': 'Critical',
+            'health.warnings': 'Warnings',
+            'health.info': 'Info',
+            'health.emptyTitle': 'No Problems Found',
+            'health.emptyText': 'All Ruckit mappings look healthy.',
+            'health.summary': '{critical} critical, {warning} warning, {info} info',
+            'health.fixAll': { one: 'Fix {count} safe issue', other: 'Fix {count} safe issues' },
+            'health.fixed': 'Fixed: {issue}',
+            'health.fixError': 'Error applying fix: {error}',
+            'health.fixedCount': { one: 'Fixed {count} issue', other: 'Fixed {count} issues' },
+            'health.fix': 'Fix',
+            'verify.unreachable': 'Could not reach the Ruckit API',
+            'verify.tokenRejected': 'Ruckit rejected the token',
+            'verify.deviceNotFound': 'Ruckit device {device} was not found',
+            'verify.driverNotFound': 'Ruckit driver {driver} was not found',
+            'verify.httpError': 'Ruckit returned HTTP {status}',
+            'verify.valid': 'Token, device and driver accepted by Ruckit',
+            'verify.notVerified': 'Not verified yet',
+            'verify.status.valid': 'Valid',
+            'verify.status.invalid': 'Invalid',
+            'verify.status.unreachable': 'Unreachable',
+            'verify.status.untested': 'Untested',
+            'verify.status.checking': 'Checking...',
+            'verify.missingValues': 'Enter a token, device ID and driver ID to test the connection',
+            'verify.testing': 'Testing connection to Ruckit...',
+            'verify.progress': 'Verifying {done}/{count}',
+            'verify.summary': { one: 'Verified {count} mapping: {valid} valid, {invalid} invalid, {unreachable} unreachable', other: 'Verified {count} mappings: {valid} valid, {invalid} invalid, {unreachable} unreachable' },
+            'toolbar.verifyAll': 'Verify All',
+            'toolbar.importCsv': 'Import CSV',
+            'toolbar.healthCheck': 'Health Check',
+            'toolbar.cleanup': 'Cleanup',
+            'toolbar.export': 'Export',
+            'toolbar.maskTokens': 'Mask tokens',
+            'toolbar.exportCsv': 'Export as CSV',
+            'toolbar.exportJson': 'Export as JSON',
+            'toolbar.settings': 'Settings',
+            'toolbar.refresh': 'Refresh',
+            'driver.current': 'Geotab shows {driver} driving this asset',
+            'driver.none': 'No driver currently assigned in Geotab',
+            'driver.otherDriver': 'Geotab shows {current} driving this asset, not {selected}.',
+            'driver.ruckitMismatch': 'Ruckit driver {driver} differs from {current}\'s Ruckit driver ID ({currentDriver}).',
+            'driver.rememberError': 'Could not remember the Ruckit driver ID for {driver}',
+            'sort.nameAsc': 'Name (A-Z)',
+            'sort.nameDesc': 'Name (Z-A)',
+            'sort.serialAsc': 'Serial (A-Z)',
+            'sort.serialDesc': 'Serial (Z-A)',
+            'sort.updatedDesc': 'Last updated (newest)',
+            'sort.updatedAsc': 'Last updated (oldest)',
+            'sort.title': 'Sort assets',
+            'settings.allowSharedTokens': 'Allow one Ruckit token on several assets',
+            'settings.allowSharedTokensHelp': 'Turn on only if your Ruckit contract issues one token for the whole fleet. Device and driver IDs must still be unique.',
+            'bulk.selectAll': 'Select all matching assets',
+            'bulk.selectRow': 'Select {device}',
+            'bulk.selected': { one: '{count} selected', other: '{count} selected' },
+            'bulk.deselect': 'Deselect',
+            'bulk.tokenPlaceholder': 'Ruckit token for all selected',
+            'bulk.applyToken': 'Apply Token',
+            'bulk.verify': 'Re-verify',
+            'bulk.exportCsv': 'CSV',
+            'bulk.exportJson': 'JSON',
+            'bulk.clear': 'Clear',
+            'bulk.resultsTitle': 'Bulk Action Results',
+            'bulk.progress': '{action}: {done}/{count}',
+            'bulk.summary': { one: '{action}: {succeeded} of {count} asset succeeded, {failed} failed', other: '{action}: {succeeded} of {count} assets succeeded, {failed} failed' },
+            'bulk.status.done': 'Done',
+            'bulk.status.failed': 'Failed',
+            'bulk.changedByOther': 'Changed by another user since the list was loaded; refresh and try again',
+            'bulk.clearAction': 'Clear credentials',
+            'bulk.clearConfirm': { one: 'Clear the Ruckit credentials of {count} selected asset?', other: 'Clear the Ruckit credentials of {count} selected assets?' },
+            'bulk.applyTokenAction': 'Apply token',
+            'bulk.applyTokenConfirm': { one: 'Replace the Ruckit token of {count} selected asset?', other: 'Replace the Ruckit token of {count} selected assets?' },
+            'bulk.tokenRequired': 'Enter the Ruckit token to apply',
+            'bulk.sharedTokensOff': 'Sharing one token across several assets is turned off in Settings',
+            'bulk.formsOpened': { one: 'Opened {count} credential form with the token filled in. Add the Ruckit device and driver IDs, then save.', other: 'Opened {count} credential forms with the token filled in. Add the Ruckit device and driver IDs, then save each one.' },
+            'bulk.verifyAction': 'Re-verify',
+            'bulk.exportAction': 'Export',
+            'bulk.exportedMasked': 'Exported with the token masked',
+            'toolbar.matchRoster': 'Match Roster',
+            'roster.title': 'Roster Match Suggestions',
+            'roster.ruckitTruck': 'Ruckit Truck',
+            'roster.suggestedAsset': 'Suggested Asset',
+            'roster.matchedOn': 'Matched On',
+            'roster.confidence': 'Confidence',
+            'roster.decision': 'Decision',
+            'roster.accept': 'Accept',
+            'roster.reject': 'Reject',
+            'roster.acceptConfident': 'Accept 90%+',
+            'roster.applyButton': 'Add Credentials',
+            'roster.apply': { one: 'Add Credentials for {count} Asset', other: 'Add Credentials for {count} Assets' },
+            'roster.ruckitDevice': 'Ruckit device {device}',
+            'roster.reason.serial': 'Serial number',
+            'roster.reason.vin': 'VIN',
+            'roster.reason.plate': 'License plate',
+            'roster.reason.name': 'Name',
+            'roster.reason.fuzzy': 'Similar name',
+            'roster.missingDevice': 'No Ruckit device ID in this row',
+            'roster.duplicateDevice': 'Ruckit device ID appears earlier in the roster',
+            'roster.alreadyMapped': 'Already mapped to {device}',
+            'roster.noMatch': 'No matching asset without credentials',
+            'roster.summary': '{suggested} suggested ({accepted} accepted, {rejected} rejected), {unmatched} without a suggestion',
+            'roster.noRows': 'The roster has no trucks',
+            'roster.readError': 'Error reading roster: {error}',
+            'roster.formsOpened': { one: 'Opened {count} credential form filled in from the roster. Review it and save.', other: 'Opened {count} credential forms filled in from the roster. Review each one and save.' },
+            'transfer.button': 'Transfer to...',
+            'transfer.title': 'Transfer Credentials',
+            'transfer.from': 'From',
+            'transfer.to': 'To asset:',
+            'transfer.toPlaceholder': 'Start typing an asset name or serial number',
+            'transfer.help': 'Only assets without Ruckit credentials are listed. The credentials are removed from the old asset in the same step.',
+            'transfer.apply': 'Transfer',
+            'transfer.noCredentials': 'This asset has no Ruckit credentials to transfer',
+            'transfer.pickTarget': 'Pick an asset without Ruckit credentials from the list',
+            'transfer.confirm': 'Move the Ruckit credentials from {source} to {target}?',
+            'transfer.success': 'Credentials moved from {source} to {target}',
+            'transfer.sourceChanged': '{source} was changed by another user. Refresh and try again.',
+            'transfer.targetChanged': '{device} was changed by another user. Refresh and try again.',
+            'transfer.targetHasCredentials': '{device} already has Ruckit credentials',
+            'transfer.rolledBack': 'Transfer failed and was undone; nothing was changed ({error})',
+            'transfer.rollbackFailed': 'Transfer failed and could not be undone: the credentials are now on both {source} and {target}. Clear one of them. ({error})',
+            'live.formChanged': '{device} was changed by another user while you were editing. Saving will show both versions so you can choose.',
+            'coverage.valid': 'Active assets with verified credentials',
+            'coverage.validCount': { one: '{valid} of {count} active asset', other: '{valid} of {count} active assets' },
+            'coverage.unverified': { one: '{count} more has credentials not verified yet', other: '{count} more have credentials not verified yet' },
+            'coverage.added': 'Assets added in the last {days} days',
+            'coverage.changed': 'Mappings changed in the last {days} days',
+            'coverage.retired': 'Retired assets still holding credentials',
+            'coverage.byGroup': 'Coverage by group',
+            'coverage.groupCount': '{percent} ({valid}/{count})',
+            'coverage.filterAdded': 'Show assets added in the last {days} days',
+            'coverage.filterChanged': 'Show mappings changed in the last {days} days',
+            'coverage.filterGroup': 'Show assets in {group}',
+            'coverage.openCleanup': 'Review them in Cleanup'
+        },
+        es: {
+            'load.apiNotInitialized': 'La API de Geotab no está inicializada. Actualice la página.',
+            'load.loaded': { one: 'Se cargó {count} activo activo, {withCredentials} con credenciales de Ruckit', other: 'Se cargaron {count} activos activos, {withCredentials} con credenciales de Ruckit' },
+            'load.inSelectedGroups': 'en los grupos seleccionados',
+            'load.retiredHidden': { one: '({count} activo retirado oculto)', other: '({count} activos retirados ocultos)' },
+            'load.namesUpdated': { one: '({count} nombre actualizado)', other: '({count} nombres actualizados)' },
+            'load.error': 'Error al cargar los activos: {error}',
+            'load.renameFailed': { one: 'No se pudo actualizar {count} nombre de activo en las asignaciones de Ruckit', other: 'No se pudieron actualizar {count} nombres de activos en las asignaciones de Ruckit' },
+            'table.noResultsTitle': 'No se encontraron resultados',
+            'table.noResultsText': 'Ningún activo coincide con los criterios de búsqueda.',
+            'table.allConfiguredTitle': 'Todos los activos tienen credenciales',
+            'table.allConfiguredText': 'Todos los activos se han configurado con credenciales de Ruckit.',
+            'table.noRuckitTitle': 'No se encontraron activos de Ruckit',
+            'table.noRuckitText': 'Todavía no hay activos con credenciales de Ruckit.',
+            'table.addCredentials': 'Agregar credenciales',
+            'table.showCredentials': 'Mostrar credenciales',
+            'table.hideCredentials': 'Ocultar credenciales',
+            'table.edit': 'Editar',
+            'table.history': 'Historial',
+            'table.viewAsset': 'Ver activo',
+            'table.viewAssetUnavailable': 'No se puede abrir la página del activo desde aquí',
+            'table.serialNumber': 'N.º de serie {serial}',
+            'table.updated': 'Actualizado el {date}',
+            'table.assetName': 'Nombre del activo',
+            'table.withoutTitle': 'Activos sin credenciales de Ruckit',
+            'table.withTitle': 'Activos con credenciales de Ruckit',
+            'table.actions': 'Acciones',
+            'table.loadingAssets': 'Cargando activos...',
+            'table.status': 'Estado',
+            'field.token': 'Token de Ruckit',
+            'field.device': 'ID de dispositivo de Ruckit',
+            'field.driver': 'ID de conductor de Ruckit',
+            'token.reveal': 'Mostrar token',
+            'token.copy': 'Copiar token',
+            'token.revealNotAllowed': 'Su autorización de seguridad no permite mostrar tokens de Ruckit',
+            'token.copyNotAllowed': 'Su autorización de seguridad no permite copiar tokens de Ruckit',
+            'token.copied': 'Token copiado al portapapeles',
+            'token.copyError': 'No se pudo copiar el token al portapapeles',
+            'token.hide': 'Ocultar token',
+            'common.notAvailable': 'N/D',
+            'common.dismiss': 'Descartar',
+            'common.cancel': 'Cancelar',
+            'common.save': 'Guardar',
+            'common.unknownDevice': 'Dispositivo desconocido',
+            'common.unknownUser': 'Usuario desconocido',
+            'common.loading': 'Cargando...',
+            'common.cannotBeUndone': 'Esta acción no se puede deshacer.',
+            'common.failedCount': '({count} con errores)',
+            'common.close': 'Cerrar',
+            'groupFilter.active': 'Filtro de grupo activo:',
+            'groupFilter.count': { one: '({shown} de {count} activo)', other: '({shown} de {count} activos)' },
+            'search.showingFiltered': { one: 'Mostrando {shown} de {count} activo', other: 'Mostrando {shown} de {count} activos' },
+            'search.showingAll': 'Mostrando todos los activos',
+            'search.total': 'Total: {count}',
+            'search.availableTitle': 'Buscar activos disponibles',
+            'search.ruckitTitle': 'Buscar activos de Ruckit',
+            'search.placeholder': 'Nombre, o sn: ruckit: driver: group: type: changed:7 added:7',
+            'search.chip.changed': 'Modificado en los últimos N días',
+            'search.chip.added': 'Añadido a Geotab en los últimos N días',
+            'search.chip.type': 'Tipo de dispositivo',
+            'search.chip.group': 'Grupo de Geotab',
+            'search.chip.ruckit': 'ID de dispositivo de Ruckit',
+            'search.chip.driver': 'ID de conductor de Ruckit',
+            'search.chip.sn': 'Número de serie',
+            'pagination.range': '{start}-{end} de {count}',
+            'pagination.first': 'Primera página',
+            'pagination.previous': 'Página anterior',
+            'pagination.next': 'Página siguiente',
+            'pagination.last': 'Última página',
+            'pagination.page': 'Página {page} de {count}',
+            'form.tokenKeepPlaceholder': 'Déjelo en blanco para conservar el token actual ({token})',
+            'form.tokenPlaceholder': 'Introduzca el token',
+            'form.devicePlaceholder': 'Introduzca el ID de dispositivo',
+            'form.geotabDriver': 'Conductor de Geotab',
+            'form.geotabDriverPlaceholder': 'Empiece a escribir el nombre de un conductor',
+            'form.driverPlaceholder': 'Introduzca el ID de conductor',
+            'form.clear': 'Borrar',
+            'form.test': 'Probar',
+            'validation.tokenInUse': 'El token "{value}" ya está en uso por el dispositivo "{device}"',
+            'validation.deviceInUse': 'El ID de dispositivo "{value}" ya está en uso por el dispositivo "{device}"',
+            'validation.driverInUse': 'El ID de conductor "{value}" ya está en uso por el dispositivo "{device}"',
+            'validation.error': 'Error al validar las credenciales',
+            'validation.prefix': '{label} debe empezar por "{prefix}"',
+            'validation.minLength': { one: '{label} debe tener al menos {count} carácter', other: '{label} debe tener al menos {count} caracteres' },
+            'validation.maxLength': { one: '{label} debe tener como máximo {count} carácter', other: '{label} debe tener como máximo {count} caracteres' },
+            'validation.charset': '{label} solo admite: {charset}',
+            'validation.pattern': '{label} no tiene el formato requerido',
+            'validation.required': 'Este campo es obligatorio',
+            'validation.fillAllFields': 'Complete todos los campos',
+            'validation.placeholderField': 'Introduzca un valor real, no el marcador predeterminado',
+            'validation.placeholders': 'Introduzca valores reales, no los marcadores predeterminados',
+            'charset.any': 'Cualquier carácter',
+            'charset.noWhitespace': 'Sin espacios',
+            'charset.alphanumeric': 'Letras y dígitos',
+            'charset.numeric': 'Solo dígitos',
+            'charset.hex': 'Hexadecimal',
+            'save.error': 'Error al guardar las credenciales: {error}',
+            'save.success': '¡Credenciales guardadas correctamente!',
+            'conflict.recently': 'recientemente',
+            'conflict.changedByOther': 'Otro usuario modificó esta asignación ({date}) después de que usted la abriera.',
+            'conflict.field': 'Campo',
+            'conflict.theirs': 'Suyo',
+            'conflict.mine': 'Mío',
+            'conflict.keepTheirs': 'Conservar el suyo',
+            'conflict.overwrite': 'Sobrescribir',
+            'conflict.merge': 'Combinar',
+            'conflict.alert': 'Otro usuario modificó {device}. Revise las diferencias antes de guardar.',
+            'clear.confirm': '¿Seguro que desea borrar las credenciales de Ruckit de {device}?',
+            'clear.noMapping': 'No se encontró ninguna asignación para borrar',
+            'clear.conflict': 'Otro usuario modificó {device}. La lista se ha actualizado; revísela antes de borrar.',
+            'clear.success': '¡Credenciales borradas correctamente!',
+            'clear.error': 'Error al borrar las credenciales: {error}',
+            'settings.minAboveMax': '{label}: la longitud mínima es mayor que la máxima',
+            'settings.invalidRegex': '{label}: expresión regular no válida ({error})',
+            'settings.invalidUrl': 'La URL de la API de Ruckit debe ser https://api.goruckit.com o una dirección localhost. Solo localhost puede usar http://',
+            'settings.notAllowed': 'Solo los administradores pueden cambiar la configuración',
+            'settings.saved': 'Configuración guardada',
+            'settings.saveError': 'Error al guardar la configuración: {error}',
+            'settings.baseUrl': 'URL de la API de Ruckit:',
+            'settings.baseUrlHelp': 'La usan Probar y Verificar todo. Apúntela a un servidor simulado local para hacer pruebas.',
+            'settings.clearances': 'Autorizaciones que pueden mostrar tokens:',
+            'settings.clearancesHelp': 'ID de autorizaciones de seguridad separados por comas. Los administradores siempre pueden; los demás solo ven tokens ocultos.',
+            'settings.rules': 'Reglas de formato de credenciales:',
+            'settings.rulePrefix': 'Prefijo',
+            'settings.ruleMinLength': 'Longitud mín.',
+            'settings.ruleMaxLength': 'Longitud máx.',
+            'settings.ruleCharset': 'Caracteres',
+            'settings.rulePattern': 'Expresión regular',
+            'settings.rulesHelp': 'Se comprueban al escribir, al guardar y en las importaciones y otros cambios masivos. Deje una celda en blanco para no poner límite.',
+            'import.unmatched': 'No hay ningún activo activo con el nombre o número de serie "{asset}"',
+            'import.duplicateAsset': 'El activo aparece más de una vez en el archivo',
+            'import.missingValues': 'Falta el token, el ID de dispositivo o el ID de conductor',
+            'import.placeholders': 'No se pueden importar los valores de marcador predeterminados',
+            'import.maskedToken': 'El token está oculto. Exporte sin ocultar los tokens para volver a importarlo.',
+            'import.replaces': 'Reemplaza el dispositivo {device} / conductor {driver}',
+            'import.status.new': 'nuevo',
+            'import.status.update': 'actualización',
+            'import.status.conflict': 'conflicto',
+            'import.status.unmatched': 'sin coincidencia',
+            'import.summary': '{new} nuevos, {update} actualizaciones, {conflict} conflictos, {unmatched} sin coincidencia',
+            'import.apply': { one: 'Importar {count} fila', other: 'Importar {count} filas' },
+            'import.noRows': 'El archivo seleccionado no tiene filas para importar',
+            'import.readError': 'Error al leer el archivo de importación: {error}',
+            'import.imported': { one: 'Se importó {count} asignación', other: 'Se importaron {count} asignaciones' },
+            'import.failedLines': { one: '({count} con error: línea {lines})', other: '({count} con errores: líneas {lines})' },
+            'import.title': 'Vista previa de la importación',
+            'import.line': 'Línea',
+            'import.csvAsset': 'Activo del CSV',
+            'import.matchedAsset': 'Activo coincidente',
+            'import.status': 'Estado',
+            'import.details': 'Detalles',
+            'import.importButton': 'Importar',
+            'export.notAllowed': 'Su autorización de seguridad no permite exportar tokens sin ocultar',
+            'export.done': { one: 'Se exportó {count} asignación', other: 'Se exportaron {count} asignaciones' },
+            'export.doneMasked': { one: 'Se exportó {count} asignación con tokens ocultos', other: 'Se exportaron {count} asignaciones con tokens ocultos' },
+            'export.error': 'Error al exportar las asignaciones: {error}',
+            'audit.field.name': 'Nombre',
+            'audit.field.serial': 'N.º de serie',
+            'audit.field.token': 'Token',
+            'audit.empty': 'Todavía no hay cambios registrados para este activo.',
+            'audit.emptyValue': '(vacío)',
+            'audit.noFieldChanges': 'Sin cambios en los campos',
+            'audit.latestOnly': { one: 'Solo se muestra el último cambio.', other: 'Solo se muestran los últimos {count} cambios.' },
+            'audit.action.save': 'guardado',
+            'audit.action.clear': 'borrado',
+            'audit.action.rename': 'cambio de nombre',
+            'audit.action.import': 'importación',
+            'audit.action.remove': 'eliminación',
+            'audit.action.repair': 'reparación',
+            'audit.action.reveal': 'visualización',
+            'audit.action.copy': 'copia',
+            'audit.action.transfer': 'transferencia',
+            'audit.hideHistory': 'Ocultar historial',
+            'audit.loadError': 'Error al cargar el historial: {error}',
+            'cleanup.reason.orphaned': 'El activo ya no existe',
+            'cleanup.reason.retired': 'El activo está retirado',
+            'cleanup.reason.placeholder': 'Solo valores de marcador',
+            'cleanup.emptyTitle': 'No hay nada que limpiar',
+            'cleanup.emptyText': 'Todas las asignaciones de Ruckit pertenecen a un activo activo.',
+            'cleanup.notAllowed': 'Solo los administradores pueden eliminar asignaciones',
+            'cleanup.devicesNotLoaded': 'No se pudieron cargar los activos, así que Limpieza no puede saber qué asignaciones están huérfanas. Actualice e inténtelo de nuevo.',
+            'cleanup.removeSelected': 'Eliminar seleccionadas ({count})',
+            'cleanup.confirm': { one: '¿Eliminar definitivamente {count} asignación de Ruckit?', other: '¿Eliminar definitivamente {count} asignaciones de Ruckit?' },
+            'cleanup.confirmOrphaned': 'Huérfanas: {count}',
+            'cleanup.confirmRetired': 'Retiradas: {count}',
+            'cleanup.confirmPlaceholder': 'Solo marcadores: {count}',
+            'cleanup.removed': { one: 'Se eliminó {count} asignación', other: 'Se eliminaron {count} asignaciones' },
+            'cleanup.summary': '{orphaned} huérfanas, {retired} retiradas, {placeholder} solo con marcadores',
+            'cleanup.title': 'Limpieza de asignaciones',
+            'cleanup.geotabDevice': 'Dispositivo de Geotab',
+            'cleanup.reason': 'Motivo',
+            'cleanup.lastUpdated': 'Última actualización',
+            'cleanup.remove': 'Eliminar',
+            'health.duplicateMappings': '{device} tiene {count} asignaciones de Ruckit',
+            'health.removeDuplicates': 'Eliminar duplicados',
+            'health.sharedCredential': '{label} "{value}" lo usan {devices}',
+            'health.missingSerial': '{device} no tiene número de serie guardado',
+            'health.storeSerial': 'Guardar n.º de serie',
+            'health.serialMismatch': '{device} guarda el n.º de serie {stored}, pero el dispositivo ahora es {current}',
+            'health.updateSerial': 'Actualizar n.º de serie',
+            'health.critical': 'Críticos',
+            'health.warnings': 'Advertencias',
+            'health.info': 'Información',
+            'health.emptyTitle': 'No se encontraron problemas',
+            'health.emptyText': 'Todas las asignaciones de Ruckit están en buen estado.',
+            'health.summary': '{critical} críticos, {warning} advertencias, {info} informativos',
+            'health.fixAll': { one: 'Corregir {count} problema seguro', other: 'Corregir {count} problemas seguros' },
+            'health.fixed': 'Corregido: {issue}',
+            'health.fixError': 'Error al aplicar la corrección: {error}',
+            'health.fixedCount': { one: 'Se corrigió {count} problema', other: 'Se corrigieron {count} problemas' },
+            'health.fix': 'Corregir',
+            'verify.unreachable': 'No se pudo conectar con la API de Ruckit',
+            'verify.tokenRejected': 'Ruckit rechazó el token',
+            'verify.deviceNotFound': 'No se encontró el dispositivo de Ruckit {device}',
+            'verify.driverNotFound': 'No se encontró el conductor de Ruckit {driver}',
+            'verify.httpError': 'Ruckit devolvió HTTP {status}',
+            'verify.valid': 'Ruckit aceptó el token, el dispositivo y el conductor',
+            'verify.notVerified': 'Sin verificar',
+            'verify.status.valid': 'Válido',
+            'verify.status.invalid': 'No válido',
+            'verify.status.unreachable': 'Sin conexión',
+            'verify.status.untested': 'Sin probar',
+            'verify.status.checking': 'Comprobando...',
+            'verify.missingValues': 'Introduzca un token, un ID de dispositivo y un ID de conductor para probar la conexión',
+            'verify.testing': 'Probando la conexión con Ruckit...',
+            'verify.progress': 'Verificando {done}/{count}',
+            'verify.summary': { one: 'Se verificó {count} asignación: {valid} válidas, {invalid} no válidas, {unreachable} sin conexión', other: 'Se verificaron {count} asignaciones: {valid} válidas, {invalid} no válidas, {unreachable} sin conexión' },
+            'toolbar.verifyAll': 'Verificar todo',
+            'toolbar.importCsv': 'Importar CSV',
+            'toolbar.healthCheck': 'Comprobación de estado',
+            'toolbar.cleanup': 'Limpieza',
+            'toolbar.export': 'Exportar',
+            'toolbar.maskTokens': 'Ocultar tokens',
+            'toolbar.exportCsv': 'Exportar como CSV',
+            'toolbar.exportJson': 'Exportar como JSON',
+            'toolbar.settings': 'Configuración',
+            'toolbar.refresh': 'Actualizar',
+            'driver.current': 'Geotab indica que {driver} conduce este activo',
+            'driver.none': 'No hay ningún conductor asignado en Geotab',
+            'driver.otherDriver': 'Geotab indica que {current} conduce este activo, no {selected}.',
+            'driver.ruckitMismatch': 'El conductor de Ruckit {driver} no coincide con el ID de conductor de Ruckit de {current} ({currentDriver}).',
+            'driver.rememberError': 'No se pudo recordar el ID de conductor de Ruckit de {driver}',
+            'sort.nameAsc': 'Nombre (A-Z)',
+            'sort.nameDesc': 'Nombre (Z-A)',
+            'sort.serialAsc': 'N.º de serie (A-Z)',
+            'sort.serialDesc': 'N.º de serie (Z-A)',
+            'sort.updatedDesc': 'Última actualización (más reciente)',
+            'sort.updatedAsc': 'Última actualización (más antigua)',
+            'sort.title': 'Ordenar activos',
+            'settings.allowSharedTokens': 'Permitir un token de Ruckit en varios activos',
+            'settings.allowSharedTokensHelp': 'Actívelo solo si su contrato con Ruckit emite un único token para toda la flota. Los ID de dispositivo y conductor deben seguir siendo únicos.',
+            'bulk.selectAll': 'Seleccionar todos los activos coincidentes',
+            'bulk.selectRow': 'Seleccionar {device}',
+            'bulk.selected': { one: '{count} seleccionado', other: '{count} seleccionados' },
+            'bulk.deselect': 'Deseleccionar',
+            'bulk.tokenPlaceholder': 'Token de Ruckit para todos los seleccionados',
+            'bulk.applyToken': 'Aplicar token',
+            'bulk.verify': 'Volver a verificar',
+            'bulk.exportCsv': 'CSV',
+            'bulk.exportJson': 'JSON',
+            'bulk.clear': 'Borrar',
+            'bulk.resultsTitle': 'Resultados de la acción masiva',
+            'bulk.progress': '{action}: {done}/{count}',
+            'bulk.summary': { one: '{action}: {succeeded} de {count} activo correcto, {failed} con error', other: '{action}: {succeeded} de {count} activos correctos, {failed} con error' },
+            'bulk.status.done': 'Hecho',
+            'bulk.status.failed': 'Error',
+            'bulk.changedByOther': 'Otro usuario lo cambió después de cargar la lista; actualice e inténtelo de nuevo',
+            'bulk.clearAction': 'Borrar credenciales',
+            'bulk.clearConfirm': { one: '¿Borrar las credenciales de Ruckit de {count} activo seleccionado?', other: '¿Borrar las credenciales de Ruckit de {count} activos seleccionados?' },
+            'bulk.applyTokenAction': 'Aplicar token',
+            'bulk.applyTokenConfirm': { one: '¿Reemplazar el token de Ruckit de {count} activo seleccionado?', other: '¿Reemplazar el token de Ruckit de {count} activos seleccionados?' },
+            'bulk.tokenRequired': 'Introduzca el token de Ruckit que desea aplicar',
+            'bulk.sharedTokensOff': 'Compartir un token entre varios activos está desactivado en Configuración',
+            'bulk.formsOpened': { one: 'Se abrió {count} formulario de credenciales con el token. Añada los ID de dispositivo y conductor de Ruckit y guarde.', other: 'Se abrieron {count} formularios de credenciales con el token. Añada los ID de dispositivo y conductor de Ruckit y guarde cada uno.' },
+            'bulk.verifyAction': 'Volver a verificar',
+            'bulk.exportAction': 'Exportar',
+            'bulk.exportedMasked': 'Exportado con el token oculto',
+            'toolbar.matchRoster': 'Emparejar lista',
+            'roster.title': 'Sugerencias de emparejamiento de la lista',
+            'roster.ruckitTruck': 'Camión de Ruckit',
+            'roster.suggestedAsset': 'Activo sugerido',
+            'roster.matchedOn': 'Coincide por',
+            'roster.confidence': 'Confianza',
+            'roster.decision': 'Decisión',
+            'roster.accept': 'Aceptar',
+            'roster.reject': 'Rechazar',
+            'roster.acceptConfident': 'Aceptar 90%+',
+            'roster.applyButton': 'Añadir credenciales',
+            'roster.apply': { one: 'Añadir credenciales a {count} activo', other: 'Añadir credenciales a {count} activos' },
+            'roster.ruckitDevice': 'Dispositivo de Ruckit {device}',
+            'roster.reason.serial': 'Número de serie',
+            'roster.reason.vin': 'VIN',
+            'roster.reason.plate': 'Matrícula',
+            'roster.reason.name': 'Nombre',
+            'roster.reason.fuzzy': 'Nombre parecido',
+            'roster.missingDevice': 'Esta fila no tiene ID de dispositivo de Ruckit',
+            'roster.duplicateDevice': 'El ID de dispositivo de Ruckit aparece antes en la lista',
+            'roster.alreadyMapped': 'Ya asignado a {device}',
+            'roster.noMatch': 'Ningún activo sin credenciales coincide',
+            'roster.summary': '{suggested} sugeridos ({accepted} aceptados, {rejected} rechazados), {unmatched} sin sugerencia',
+            'roster.noRows': 'La lista no contiene camiones',
+            'roster.readError': 'Error al leer la lista: {error}',
+            'roster.formsOpened': { one: 'Se abrió {count} formulario de credenciales con los datos de la lista. Revíselo y guarde.', other: 'Se abrieron {count} formularios de credenciales con los datos de la lista. Revise cada uno y guarde.' },
+            'transfer.button': 'Transferir a...',
+            'transfer.title': 'Transferir credenciales',
+            'transfer.from': 'Desde',
+            'transfer.to': 'Al activo:',
+            'transfer.toPlaceholder': 'Escriba el nombre o el número de serie de un activo',
+            'transfer.help': 'Solo se muestran activos sin credenciales de Ruckit. Las credenciales se quitan del activo anterior en el mismo paso.',
+            'transfer.apply': 'Transferir',
+            'transfer.noCredentials': 'Este activo no tiene credenciales de Ruckit que transferir',
+            'transfer.pickTarget': 'Elija de la lista un activo sin credenciales de Ruckit',
+            'transfer.confirm': '¿Mover las credenciales de Ruckit de {source} a {target}?',
+            'transfer.success': 'Credenciales movidas de {source} a {target}',
+            'transfer.sourceChanged': 'Otro usuario cambió {source}. Actualice e inténtelo de nuevo.',
+            'transfer.targetChanged': 'Otro usuario cambió {device}. Actualice e inténtelo de nuevo.',
+            'transfer.targetHasCredentials': '{device} ya tiene credenciales de Ruckit',
+            'transfer.rolledBack': 'La transferencia falló y se deshizo; no se cambió nada ({error})',
+            'transfer.rollbackFailed': 'La transferencia falló y no se pudo deshacer: las credenciales están ahora en {source} y en {target}. Borre una de ellas. ({error})',
+            'live.formChanged': 'Otro usuario modificó {device} mientras lo editaba. Al guardar verá ambas versiones para elegir.',
+            'coverage.valid': 'Activos en servicio con credenciales verificadas',
+            'coverage.validCount': { one: '{valid} de {count} activo', other: '{valid} de {count} activos' },
+            'coverage.unverified': { one: '{count} más tiene credenciales aún sin verificar', other: '{count} más tienen credenciales aún sin verificar' },
+            'coverage.added': 'Activos añadidos en los últimos {days} días',
+            'coverage.changed': 'Asignaciones modificadas en los últimos {days} días',
+            'coverage.retired': 'Activos retirados que aún tienen credenciales',
+            'coverage.byGroup': 'Cobertura por grupo',
+            'coverage.groupCount': '{percent} ({valid}/{count})',
+            'coverage.filterAdded': 'Mostrar los activos añadidos en los últimos {days} días',
+            'coverage.filterChanged': 'Mostrar las asignaciones modificadas en los últimos {days} días',
+            'coverage.filterGroup': 'Mostrar los activos de {group}',
+            'coverage.openCleanup': 'Revisarlos en Limpieza'
+        },
+        fr: {
+            'load.apiNotInitialized': 'L\'API Geotab n\'est pas initialisée. Actualisez la page.',
+            'load.loaded': { one: '{count} actif en service chargé, {withCredentials} avec des identifiants Ruckit', other: '{count} actifs en service chargés, {withCredentials} avec des identifiants Ruckit' },
+            'load.inSelectedGroups': 'dans les groupes sélectionnés',
+            'load.retiredHidden': { one: '({count} actif retiré masqué)', other: '({count} actifs retirés masqués)' },
+            'load.namesUpdated': { one: '({count} nom mis à jour)', other: '({count} noms mis à jour)' },
+            'load.error': 'Erreur lors du chargement des actifs : {error}',
+            'load.renameFailed': { one: 'Impossible de mettre à jour {count} nom d\'actif dans les associations Ruckit', other: 'Impossible de mettre à jour {count} noms d\'actifs dans les associations Ruckit' },
+            'table.noResultsTitle': 'Aucun résultat',
+            'table.noResultsText': 'Aucun actif ne correspond à vos critères de recherche.',
+            'table.allConfiguredTitle': 'Tous les actifs ont des identifiants',
+            'table.allConfiguredText': 'Tous les actifs ont été configurés avec des identifiants Ruckit.',
+            'table.noRuckitTitle': 'Aucun actif Ruckit',
+            'table.noRuckitText': 'Aucun actif n\'a encore d\'identifiants Ruckit.',
+            'table.addCredentials': 'Ajouter des identifiants',
+            'table.showCredentials': 'Afficher les identifiants',
+            'table.hideCredentials': 'Masquer les identifiants',
+            'table.edit': 'Modifier',
+            'table.history': 'Historique',
+            'table.viewAsset': 'Voir l\'actif',
+            'table.viewAssetUnavailable': 'Impossible d\'ouvrir la page de l\'actif depuis cet emplacement',
+            'table.serialNumber': 'N° de série {serial}',
+            'table.updated': 'Mis à jour le {date}',
+            'table.assetName': 'Nom de l\'actif',
+            'table.withoutTitle': 'Actifs sans identifiants Ruckit',
+            'table.withTitle': 'Actifs avec identifiants Ruckit',
+            'table.actions': 'Actions',
+            'table.loadingAssets': 'Chargement des actifs...',
+            'table.status': 'Statut',
+            'field.token': 'Jeton Ruckit',
+            'field.device': 'ID d\'appareil Ruckit',
+            'field.driver': 'ID de conducteur Ruckit',
+            'token.reveal': 'Afficher le jeton',
+            'token.copy': 'Copier le jeton',
+            'token.revealNotAllowed': 'Votre niveau d\'autorisation ne permet pas d\'afficher les jetons Ruckit',
+            'token.copyNotAllowed': 'Votre niveau d\'autorisation ne permet pas de copier les jetons Ruckit',
+            'token.copied': 'Jeton copié dans le presse-papiers',
+            'token.copyError': 'Impossible de copier le jeton dans le presse-papiers',
+            'token.hide': 'Masquer le jeton',
+            'common.notAvailable': 'N/D',
+            'common.dismiss': 'Fermer',
+            'common.cancel': 'Annuler',
+            'common.save': 'Enregistrer',
+            'common.unknownDevice': 'Appareil inconnu',
+            'common.unknownUser': 'Utilisateur inconnu',
+            'common.loading': 'Chargement...',
+            'common.cannotBeUndone': 'Cette action est irréversible.',
+            'common.failedCount': '({count} en échec)',
+            'common.close': 'Fermer',
+            'groupFilter.active': 'Filtre de groupe actif :',
+            'groupFilter.count': { one: '({shown} sur {count} actif)', other: '({shown} sur {count} actifs)' },
+            'search.showingFiltered': { one: '{shown} sur {count} actif affiché', other: '{shown} sur {count} actifs affichés' },
+            'search.showingAll': 'Tous les actifs sont affichés',
+            'search.total': 'Total : {count}',
+            'search.availableTitle': 'Rechercher parmi les actifs disponibles',
+            'search.ruckitTitle': 'Rechercher parmi les actifs Ruckit',
+            'search.placeholder': 'Nom, ou sn: ruckit: driver: group: type: changed:7 added:7',
+            'search.chip.changed': 'Modifié au cours des N derniers jours',
+            'search.chip.added': 'Ajouté à Geotab au cours des N derniers jours',
+            'search.chip.type': 'Type d\'appareil',
+            'search.chip.group': 'Groupe Geotab',
+            'search.chip.ruckit': 'ID d\'appareil Ruckit',
+            'search.chip.driver': 'ID de conducteur Ruckit',
+            'search.chip.sn': 'Numéro de série',
+            'pagination.range': '{start}-{end} sur {count}',
+            'pagination.first': 'Première page',
+            'pagination.previous': 'Page précédente',
+            'pagination.next': 'Page suivante',
+            'pagination.last': 'Dernière page',
+            'pagination.page': 'Page {page} sur {count}',
+            'form.tokenKeepPlaceholder': 'Laissez vide pour conserver le jeton actuel ({token})',
+            'form.tokenPlaceholder': 'Saisissez le jeton',
+            'form.devicePlaceholder': 'Saisissez l\'ID d\'appareil',
+            'form.geotabDriver': 'Conducteur Geotab',
+            'form.geotabDriverPlaceholder': 'Commencez à saisir le nom d\'un conducteur',
+            'form.driverPlaceholder': 'Saisissez l\'ID de conducteur',
+            'form.clear': 'Effacer',
+            'form.test': 'Tester',
+            'validation.tokenInUse': 'Le jeton "{value}" est déjà utilisé par l\'appareil "{device}"',
+            'validation.deviceInUse': 'L\'ID d\'appareil "{value}" est déjà utilisé par l\'appareil "{device}"',
+            'validation.driverInUse': 'L\'ID de conducteur "{value}" est déjà utilisé par l\'appareil "{device}"',
+            'validation.error': 'Erreur lors de la validation des identifiants',
+            'validation.prefix': '{label} doit commencer par "{prefix}"',
+            'validation.minLength': { one: '{label} doit contenir au moins {count} caractère', other: '{label} doit contenir au moins {count} caractères' },
+            'validation.maxLength': { one: '{label} doit contenir au plus {count} caractère', other: '{label} doit contenir au plus {count} caractères' },
+            'validation.charset': '{label} n\'accepte que : {charset}',
+            'validation.pattern': '{label} n\'est pas au format requis',
+            'validation.required': 'Ce champ est obligatoire',
+            'validation.fillAllFields': 'Veuillez remplir tous les champs',
+            'validation.placeholderField': 'Saisissez une valeur réelle, pas la valeur par défaut',
+            'validation.placeholders': 'Saisissez des valeurs réelles, pas les valeurs par défaut',
+            'charset.any': 'N\'importe quel caractère',
+            'charset.noWhitespace': 'Pas d\'espaces',
+            'charset.alphanumeric': 'Lettres et chiffres',
+            'charset.numeric': 'Chiffres uniquement',
+            'charset.hex': 'Hexadécimal',
+            'save.error': 'Erreur lors de l\'enregistrement des identifiants : {error}',
+            'save.success': 'Identifiants enregistrés !',
+            'conflict.recently': 'récemment',
+            'conflict.changedByOther': 'Un autre utilisateur a modifié cette association ({date}) après que vous l\'avez ouverte.',
+            'conflict.field': 'Champ',
+            'conflict.theirs': 'Leur version',
+            'conflict.mine': 'Ma version',
+            'conflict.keepTheirs': 'Garder leur version',
+            'conflict.overwrite': 'Écraser',
+            'conflict.merge': 'Fusionner',
+            'conflict.alert': 'Un autre utilisateur a modifié {device}. Vérifiez les différences avant d\'enregistrer.',
+            'clear.confirm': 'Voulez-vous vraiment effacer les identifiants Ruckit de {device} ?',
+            'clear.noMapping': 'Aucune association à effacer',
+            'clear.conflict': 'Un autre utilisateur a modifié {device}. La liste a été actualisée ; vérifiez-la avant d\'effacer.',
+            'clear.success': 'Identifiants effacés !',
+            'clear.error': 'Erreur lors de l\'effacement des identifiants : {error}',
+            'settings.minAboveMax': '{label} : la longueur minimale dépasse la longueur maximale',
+            'settings.invalidRegex': '{label} : expression régulière non valide ({error})',
+            'settings.invalidUrl': 'L\'URL de l\'API Ruckit doit être https://api.goruckit.com ou une adresse localhost. Seul localhost peut utiliser http://',
+            'settings.notAllowed': 'Seuls les administrateurs peuvent modifier les paramètres',
+            'settings.saved': 'Paramètres enregistrés',
+            'settings.saveError': 'Erreur lors de l\'enregistrement des paramètres : {error}',
+            'settings.baseUrl': 'URL de l\'API Ruckit :',
+            'settings.baseUrlHelp': 'Utilisée par Tester et Tout vérifier. Pointez-la vers un serveur simulé local pour les tests.',
+            'settings.clearances': 'Autorisations pouvant afficher les jetons :',
+            'settings.clearancesHelp': 'ID d\'autorisations de sécurité séparés par des virgules. Les administrateurs le peuvent toujours ; les autres utilisateurs ne voient que des jetons masqués.',
+            'settings.rules': 'Règles de format des identifiants :',
+            'settings.rulePrefix': 'Préfixe',
+            'settings.ruleMinLength': 'Longueur min.',
+            'settings.ruleMaxLength': 'Longueur max.',
+            'settings.ruleCharset': 'Caractères',
+            'settings.rulePattern': 'Expression régulière',
+            'settings.rulesHelp': 'Vérifiées pendant la saisie, à l\'enregistrement, ainsi que lors des imports et des autres modifications groupées. Laissez une cellule vide pour ne fixer aucune limite.',
+            'import.unmatched': 'Aucun actif en service ne porte le nom ou le numéro de série "{asset}"',
+            'import.duplicateAsset': 'L\'actif apparaît plusieurs fois dans le fichier',
+            'import.missingValues': 'Jeton, ID d\'appareil ou ID de conducteur manquant',
+            'import.placeholders': 'Les valeurs par défaut ne peuvent pas être importées',
+            'import.maskedToken': 'Le jeton est masqué. Exportez sans masquer les jetons pour le réimporter.',
+            'import.replaces': 'Remplace l\'appareil {device} / le conducteur {driver}',
+            'import.status.new': 'nouveau',
+            'import.status.update': 'mise à jour',
+            'import.status.conflict': 'conflit',
+            'import.status.unmatched': 'sans correspondance',
+            'import.summary': '{new} nouveaux, {update} mises à jour, {conflict} conflits, {unmatched} sans correspondance',
+            'import.apply': { one: 'Importer {count} ligne', other: 'Importer {count} lignes' },
+            'import.noRows': 'Le fichier sélectionné ne contient aucune ligne à importer',
+            'import.readError': 'Erreur lors de la lecture du fichier d\'import : {error}',
+            'import.imported': { one: '{count} association importée', other: '{count} associations importées' },
+            'import.failedLines': { one: '({count} en échec : ligne {lines})', other: '({count} en échec : lignes {lines})' },
+            'import.title': 'Aperçu de l\'import',
+            'import.line': 'Ligne',
+            'import.csvAsset': 'Actif du CSV',
+            'import.matchedAsset': 'Actif correspondant',
+            'import.status': 'Statut',
+            'import.details': 'Détails',
+            'import.importButton': 'Importer',
+            'export.notAllowed': 'Votre niveau d\'autorisation ne permet pas d\'exporter les jetons en clair',
+            'export.done': { one: '{count} association exportée', other: '{count} associations exportées' },
+            'export.doneMasked': { one: '{count} association exportée avec jetons masqués', other: '{count} associations exportées avec jetons masqués' },
+            'export.error': 'Erreur lors de l\'export des associations : {error}',
+            'audit.field.name': 'Nom',
+            'audit.field.serial': 'N° de série',
+            'audit.field.token': 'Jeton',
+            'audit.empty': 'Aucune modification n\'a encore été enregistrée pour cet actif.',
+            'audit.emptyValue': '(vide)',
+            'audit.noFieldChanges': 'Aucun champ modifié',
+            'audit.latestOnly': { one: 'Seule la dernière modification est affichée.', other: 'Seules les {count} dernières modifications sont affichées.' },
+            'audit.action.save': 'enregistrement',
+            'audit.action.clear': 'effacement',
+            'audit.action.rename': 'renommage',
+            'audit.action.import': 'import',
+            'audit.action.remove': 'suppression',
+            'audit.action.repair': 'réparation',
+            'audit.action.reveal': 'affichage',
+            'audit.action.copy': 'copie',
+            'audit.action.transfer': 'transfert',
+            'audit.hideHistory': 'Masquer l\'historique',
+            'audit.loadError': 'Erreur lors du chargement de l\'historique : {error}',
+            'cleanup.reason.orphaned': 'L\'actif n\'existe plus',
+            'cleanup.reason.retired': 'L\'actif est retiré',
+            'cleanup.reason.placeholder': 'Valeurs par défaut uniquement',
+            'cleanup.emptyTitle': 'Rien à nettoyer',
+            'cleanup.emptyText': 'Chaque association Ruckit appartient à un actif en service.',
+            'cleanup.notAllowed': 'Seuls les administrateurs peuvent supprimer des correspondances',
+            'cleanup.devicesNotLoaded': 'Les actifs n\'ont pas pu être chargés, le nettoyage ne peut donc pas savoir quelles correspondances sont orphelines. Actualisez et réessayez.',
+            'cleanup.removeSelected': 'Supprimer la sélection ({count})',
+            'cleanup.confirm': { one: 'Supprimer définitivement {count} association Ruckit ?', other: 'Supprimer définitivement {count} associations Ruckit ?' },
+            'cleanup.confirmOrphaned': 'Orphelines : {count}',
+            'cleanup.confirmRetired': 'Retirées : {count}',
+            'cleanup.confirmPlaceholder': 'Valeurs par défaut uniquement : {count}',
+            'cleanup.removed': { one: '{count} association supprimée', other: '{count} associations supprimées' },
+            'cleanup.summary': '{orphaned} orphelines, {retired} retirées, {placeholder} avec valeurs par défaut uniquement',
+            'cleanup.title': 'Nettoyage des associations',
+            'cleanup.geotabDevice': 'Appareil Geotab',
+            'cleanup.reason': 'Motif',
+            'cleanup.lastUpdated': 'Dernière mise à jour',
+            'cleanup.remove': 'Supprimer',
+            'health.duplicateMappings': '{device} a {count} associations Ruckit',
+            'health.removeDuplicates': 'Supprimer les doublons',
+            'health.sharedCredential': '{label} "{value}" est utilisé par {devices}',
+            'health.missingSerial': '{device} n\'a pas de numéro de série enregistré',
+            'health.storeSerial': 'Enregistrer le n° de série',
+            'health.serialMismatch': '{device} a le n° de série {stored} enregistré, mais l\'appareil est maintenant {current}',
+            'health.updateSerial': 'Mettre à jour le n° de série',
+            'health.critical': 'Critiques',
+            'health.warnings': 'Avertissements',
+            'health.info': 'Informations',
+            'health.emptyTitle': 'Aucun problème détecté',
+            'health.emptyText': 'Toutes les associations Ruckit sont saines.',
+            'health.summary': '{critical} critiques, {warning} avertissements, {info} informations',
+            'health.fixAll': { one: 'Corriger {count} problème sûr', other: 'Corriger {count} problèmes sûrs' },
+            'health.fixed': 'Corrigé : {issue}',
+            'health.fixError': 'Erreur lors de l\'application de la correction : {error}',
+            'health.fixedCount': { one: '{count} problème corrigé', other: '{count} problèmes corrigés' },
+            'health.fix': 'Corriger',
+            'verify.unreachable': 'Impossible de joindre l\'API Ruckit',
+            'verify.tokenRejected': 'Ruckit a refusé le jeton',
+            'verify.deviceNotFound': 'Appareil Ruckit {device} introuvable',
+            'verify.driverNotFound': 'Conducteur Ruckit {driver} introuvable',
+            'verify.httpError': 'Ruckit a renvoyé HTTP {status}',
+            'verify.valid': 'Ruckit a accepté le jeton, l\'appareil et le conducteur',
+            'verify.notVerified': 'Non vérifié',
+            'verify.status.valid': 'Valide',
+            'verify.status.invalid': 'Non valide',
+            'verify.status.unreachable': 'Injoignable',
+            'verify.status.untested': 'Non testé',
+            'verify.status.checking': 'Vérification...',
+            'verify.missingValues': 'Saisissez un jeton, un ID d\'appareil et un ID de conducteur pour tester la connexion',
+            'verify.testing': 'Test de la connexion Ruckit...',
+            'verify.progress': 'Vérification {done}/{count}',
+            'verify.summary': { one: '{count} association vérifiée : {valid} valides, {invalid} non valides, {unreachable} injoignables', other: '{count} associations vérifiées : {valid} valides, {invalid} non valides, {unreachable} injoignables' },
+            'toolbar.verifyAll': 'Tout vérifier',
+            'toolbar.importCsv': 'Importer un CSV',
+            'toolbar.healthCheck': 'Contrôle de santé',
+            'toolbar.cleanup': 'Nettoyage',
+            'toolbar.export': 'Exporter',
+            'toolbar.maskTokens': 'Masquer les jetons',
+            'toolbar.exportCsv': 'Exporter en CSV',
+            'toolbar.exportJson': 'Exporter en JSON',
+            'toolbar.settings': 'Paramètres',
+            'toolbar.refresh': 'Actualiser',
+            'driver.current': 'Selon Geotab, {driver} conduit cet actif',
+            'driver.none': 'Aucun conducteur n\'est affecté dans Geotab',
+            'driver.otherDriver': 'Selon Geotab, cet actif est conduit par {current}, et non par {selected}.',
+            'driver.ruckitMismatch': 'Le conducteur Ruckit {driver} ne correspond pas à l\'ID de conducteur Ruckit de {current} ({currentDriver}).',
+            'driver.rememberError': 'Impossible de mémoriser l\'ID de conducteur Ruckit de {driver}',
+            'sort.nameAsc': 'Nom (A-Z)',
+            'sort.nameDesc': 'Nom (Z-A)',
+            'sort.serialAsc': 'N° de série (A-Z)',
+            'sort.serialDesc': 'N° de série (Z-A)',
+            'sort.updatedDesc': 'Dernière mise à jour (plus récente)',
+            'sort.updatedAsc': 'Dernière mise à jour (plus ancienne)',
+            'sort.title': 'Trier les actifs',
+            'settings.allowSharedTokens': 'Autoriser un même jeton Ruckit sur plusieurs actifs',
+            'settings.allowSharedTokensHelp': 'À activer uniquement si votre contrat Ruckit fournit un seul jeton pour toute la flotte. Les ID d\'appareil et de conducteur doivent rester uniques.',
+            'bulk.selectAll': 'Sélectionner tous les actifs correspondants',
+            'bulk.selectRow': 'Sélectionner {device}',
+            'bulk.selected': { one: '{count} sélectionné', other: '{count} sélectionnés' },
+            'bulk.deselect': 'Désélectionner',
+            'bulk.tokenPlaceholder': 'Jeton Ruckit pour toute la sélection',
+            'bulk.applyToken': 'Appliquer le jeton',
+            'bulk.verify': 'Revérifier',
+            'bulk.exportCsv': 'CSV',
+            'bulk.exportJson': 'JSON',
+            'bulk.clear': 'Effacer',
+            'bulk.resultsTitle': 'Résultats de l\'action groupée',
+            'bulk.progress': '{action} : {done}/{count}',
+            'bulk.summary': { one: '{action} : {succeeded} sur {count} actif réussi, {failed} en échec', other: '{action} : {succeeded} sur {count} actifs réussis, {failed} en échec' },
+            'bulk.status.done': 'Terminé',
+            'bulk.status.failed': 'Échec',
+            'bulk.changedByOther': 'Modifié par un autre utilisateur depuis le chargement de la liste ; actualisez et réessayez',
+            'bulk.clearAction': 'Effacer les identifiants',
+            'bulk.clearConfirm': { one: 'Effacer les identifiants Ruckit de {count} actif sélectionné ?', other: 'Effacer les identifiants Ruckit de {count} actifs sélectionnés ?' },
+            'bulk.applyTokenAction': 'Appliquer le jeton',
+            'bulk.applyTokenConfirm': { one: 'Remplacer le jeton Ruckit de {count} actif sélectionné ?', other: 'Remplacer le jeton Ruckit de {count} actifs sélectionnés ?' },
+            'bulk.tokenRequired': 'Saisissez le jeton Ruckit à appliquer',
+            'bulk.sharedTokensOff': 'Le partage d\'un jeton entre plusieurs actifs est désactivé dans les paramètres',
+            'bulk.formsOpened': { one: '{count} formulaire d\'identifiants ouvert avec le jeton. Ajoutez les ID d\'appareil et de conducteur Ruckit, puis enregistrez.', other: '{count} formulaires d\'identifiants ouverts avec le jeton. Ajoutez les ID d\'appareil et de conducteur Ruckit, puis enregistrez chacun.' },
+            'bulk.verifyAction': 'Revérifier',
+            'bulk.exportAction': 'Exporter',
+            'bulk.exportedMasked': 'Exporté avec le jeton masqué',
+            'toolbar.matchRoster': 'Associer la liste',
+            'roster.title': 'Suggestions d\'association de la liste',
+            'roster.ruckitTruck': 'Camion Ruckit',
+            'roster.suggestedAsset': 'Actif suggéré',
+            'roster.matchedOn': 'Correspondance',
+            'roster.confidence': 'Confiance',
+            'roster.decision': 'Décision',
+            'roster.accept': 'Accepter',
+            'roster.reject': 'Refuser',
+            'roster.acceptConfident': 'Accepter 90 %+',
+            'roster.applyButton': 'Ajouter les identifiants',
+            'roster.apply': { one: 'Ajouter les identifiants de {count} actif', other: 'Ajouter les identifiants de {count} actifs' },
+            'roster.ruckitDevice': 'Appareil Ruckit {device}',
+            'roster.reason.serial': 'Numéro de série',
+            'roster.reason.vin': 'NIV',
+            'roster.reason.plate': 'Plaque d\'immatriculation',
+            'roster.reason.name': 'Nom',
+            'roster.reason.fuzzy': 'Nom similaire',
+            'roster.missingDevice': 'Aucun ID d\'appareil Ruckit sur cette ligne',
+            'roster.duplicateDevice': 'Cet ID d\'appareil Ruckit figure plus haut dans la liste',
+            'roster.alreadyMapped': 'Déjà associé à {device}',
+            'roster.noMatch': 'Aucun actif sans identifiants ne correspond',
+            'roster.summary': '{suggested} suggérés ({accepted} acceptés, {rejected} refusés), {unmatched} sans suggestion',
+            'roster.noRows': 'La liste ne contient aucun camion',
+            'roster.readError': 'Erreur de lecture de la liste : {error}',
+            'roster.formsOpened': { one: '{count} formulaire d\'identifiants rempli à partir de la liste. Vérifiez-le et enregistrez.', other: '{count} formulaires d\'identifiants remplis à partir de la liste. Vérifiez chacun et enregistrez.' },
+            'transfer.button': 'Transférer vers...',
+            'transfer.title': 'Transférer les identifiants',
+            'transfer.from': 'De',
+            'transfer.to': 'Vers l\'actif :',
+            'transfer.toPlaceholder': 'Saisissez le nom ou le numéro de série d\'un actif',
+            'transfer.help': 'Seuls les actifs sans identifiants Ruckit sont proposés. Les identifiants sont retirés de l\'ancien actif dans la même opération.',
+            'transfer.apply': 'Transférer',
+            'transfer.noCredentials': 'Cet actif n\'a pas d\'identifiants Ruckit à transférer',
+            'transfer.pickTarget': 'Choisissez dans la liste un actif sans identifiants Ruckit',
+            'transfer.confirm': 'Déplacer les identifiants Ruckit de {source} vers {target} ?',
+            'transfer.success': 'Identifiants déplacés de {source} vers {target}',
+            'transfer.sourceChanged': '{source} a été modifié par un autre utilisateur. Actualisez et réessayez.',
+            'transfer.targetChanged': '{device} a été modifié par un autre utilisateur. Actualisez et réessayez.',
+            'transfer.targetHasCredentials': '{device} a déjà des identifiants Ruckit',
+            'transfer.rolledBack': 'Le transfert a échoué et a été annulé ; rien n\'a été modifié ({error})',
+            'transfer.rollbackFailed': 'Le transfert a échoué et n\'a pas pu être annulé : les identifiants sont maintenant sur {source} et sur {target}. Effacez-en un. ({error})',
+            'live.formChanged': '{device} a été modifié par un autre utilisateur pendant votre saisie. L\'enregistrement affichera les deux versions pour que vous choisissiez.',
+            'coverage.valid': 'Actifs en service avec des identifiants vérifiés',
+            'coverage.validCount': { one: '{valid} sur {count} actif', other: '{valid} sur {count} actifs' },
+            'coverage.unverified': { one: '{count} autre a des identifiants pas encore vérifiés', other: '{count} autres ont des identifiants pas encore vérifiés' },
+            'coverage.added': 'Actifs ajoutés au cours des {days} derniers jours',
+            'coverage.changed': 'Associations modifiées au cours des {days} derniers jours',
+            'coverage.retired': 'Actifs retirés qui ont encore des identifiants',
+            'coverage.byGroup': 'Couverture par groupe',
+            'coverage.groupCount': '{percent} ({valid}/{count})',
+            'coverage.filterAdded': 'Afficher les actifs ajoutés au cours des {days} derniers jours',
+            'coverage.filterChanged': 'Afficher les associations modifiées au cours des {days} derniers jours',
+            'coverage.filterGroup': 'Afficher les actifs de {group}',
+            'coverage.openCleanup': 'Les examiner dans Nettoyage'
         }
     };
 
@@ -987,8 +6716,10 @@ geotab.addin.ruckitAssets = function () {
 
             elAddin = document.getElementById('ruckitAssets');
 
-            // Extract subdomain from current URL
-            extractSubdomain();
+            // Database and server come from the session, whatever host the add-in runs in
+            loadSessionInfo();
+            
+            applyLocale();
 
             if (state.translate) {
                 state.translate(elAddin || '');
@@ -1012,15 +6743,21 @@ geotab.addin.ruckitAssets = function () {
             api = freshApi;
             state = freshState;
 
-            // Re-extract subdomain in case URL changed
-            extractSubdomain();
+            // The session may belong to a different database or server after a switch
+            loadSessionInfo();
 
-            // Setup event listeners
+            // Register listeners once; blur() removes them
             setupEventListeners();
             
+            // Reopen the view saved in the URL, if any
+            restoreViewState();
+            
             // Load Ruckit assets data
             loadRuckitAssets();
             
+            // Follow other users' changes while the add-in is open
+            startLiveUpdates();
+            
             // Show main content
             if (elAddin) {
                 elAddin.style.display = 'block';
@@ -1036,6 +6773,9 @@ geotab.addin.ruckitAssets = function () {
          * @param {object} freshState - The page state object allows access to URL, page navigation and global group filter.
          */
         blur: function () {
+            teardownEventListeners();
+            stopLiveUpdates();
+            
             // Hide main content
             if (elAddin) {
                 elAddin.style.display = 'none';
@@ -0,0 +1,523 @@
+/**
+ * In-memory stand-in for the MyGeotab add-in runtime.
+ * Used by demo.html for offline demos and training, and loadable from Node for automated tests.
+ */
+(function (root) {
+    'use strict';
+
+    const ADDIN_ID = 'aTMyNTA4NjktMzIxOC02YTQ';
+    const ACTIVE_TO = '2050-01-01T00:00:00.000Z';
+    const DEVICE_TYPES = ['GO9', 'GO9B', 'GO7'];
+    const FIRST_NAMES = ['Alex', 'Blair', 'Casey', 'Drew', 'Emery', 'Finley', 'Gray', 'Harper'];
+    const LAST_NAMES = ['Nguyen', 'Garcia', 'Smith', 'Okafor', 'Kowalski', 'Tanaka', 'Silva', 'Reid'];
+
+    /** Named seed presets, passed to createDatabase */
+    const SCENARIOS = {
+        small: { devices: 12, retired: 2, mapped: 5, placeholders: 2, orphaned: 1, renamed: 1, drivers: 6 },
+        large: { devices: 5000, retired: 150, mapped: 1200, placeholders: 40, orphaned: 25, renamed: 30, drivers: 400 },
+        empty: { devices: 0, retired: 0, mapped: 0, placeholders: 0, orphaned: 0, renamed: 0, drivers: 0 }
+    };
+
+    /**
+     * Pad a number with leading zeros
+     */
+    function pad(value, length) {
+        return String(value).padStart(length, '0');
+    }
+
+    /**
+     * Deep copy an entity so callers can't mutate the stored one
+     */
+    function clone(value) {
+        return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+    }
+
+    /**
+     * Build an error shaped like the ones returned by the MyGeotab API
+     */
+    function createApiError(message, name = 'MockGeotabException') {
+        const error = new Error(message);
+        error.name = name;
+        return error;
+    }
+
+    /**
+     * Build a Ruckit mapping record as the add-in stores it
+     */
+    function createMapping(id, device, values, date) {
+        return {
+            id: id,
+            version: '1',
+            addInId: ADDIN_ID,
+            details: {
+                type: 'ri-device',
+                'gt-device': device.id,
+                name: device.name,
+                'gt-sn': device.serialNumber,
+                'ri-token': values.token,
+                'ri-device': values.device,
+                'ri-driver': values.driver,
+                date: date
+            }
+        };
+    }
+
+    /**
+     * Build a seeded database. Options take the counts from SCENARIOS, or a scenario name.
+     */
+    function createDatabase(options = {}) {
+        const seed = typeof options === 'string'
+            ? SCENARIOS[options] || SCENARIOS.small
+            : { ...SCENARIOS.small, ...options };
+
+        const db = {
+            Group: [
+                { id: 'GroupCompanyId', name: 'Company', children: [{ id: 'gNorth' }, { id: 'gSouth' }] },
+                { id: 'gNorth', name: 'North Yard', children: [{ id: 'gNorthHaul' }] },
+                { id: 'gNorthHaul', name: 'North Haulers', children: [] },
+                { id: 'gSouth', name: 'South Yard', children: [] }
+            ],
+            Device: [],
+            AddInData: [],
+            User: [
+                { id: 'uDemo', name: 'demo@example.com', firstName: 'Demo', lastName: 'User', securityGroups: [{ id: 'GroupEverythingSecurityId' }] }
+            ],
+            DriverChange: []
+        };
+        const leafGroups = ['gNorth', 'gNorthHaul', 'gSouth'];
+        const baseDate = Date.UTC(2026, 0, 1);
+        let addInDataId = 0;
+        const nextAddInDataId = () => 'a' + pad(++addInDataId, 6);
+
+        for (let i = 1; i <= seed.devices + seed.retired; i++) {
+            const retired = i > seed.devices;
+            db.Device.push({
+                id: 'b' + pad(i, 5),
+                name: (retired ? 'Retired Truck ' : 'Truck ') + pad(i, 4),
+                serialNumber: 'G9' + pad(i * 7919 % 1000000, 6),
+                vehicleIdentificationNumber: '1XKAD49X0' + pad(i, 8),
+                licensePlate: 'RK-' + pad(i * 37 % 10000, 4),
+                deviceType: DEVICE_TYPES[i % DEVICE_TYPES.length],
+                groups: [{ id: leafGroups[i % leafGroups.length] }],
+                activeFrom: '2024-01-01T00:00:00.000Z',
+                activeTo: retired ? new Date(baseDate - i * 86400000).toISOString() : ACTIVE_TO
+            });
+        }
+
+        for (let i = 1; i <= seed.drivers; i++) {
+            const firstName = FIRST_NAMES[i % FIRST_NAMES.length];
+            const lastName = LAST_NAMES[Math.floor(i / FIRST_NAMES.length) % LAST_NAMES.length];
+            db.User.push({
+                id: 'u' + pad(i, 4),
+                name: `${firstName}.${lastName}${i}@example.com`.toLowerCase(),
+                firstName: firstName,
+                lastName: lastName,
+                isDriver: true,
+                securityGroups: [{ id: 'GroupDriveUserSecurityId' }]
+            });
+        }
+
+        const activeDevices = db.Device.filter(device => device.activeTo === ACTIVE_TO);
+        const retiredDevices = db.Device.filter(device => device.activeTo !== ACTIVE_TO);
+
+        activeDevices.slice(0, seed.mapped).forEach((device, index) => {
+            const mapping = createMapping(nextAddInDataId(), device, {
+                token: 'rk_demo_' + pad(index + 1, 6),
+                device: String(5000 + index),
+                driver: String(9000 + index)
+            }, new Date(baseDate + index * 3600000).toISOString());
+
+            // Stored names that no longer match Geotab exercise the rename sync
+            if (index < seed.renamed) {
+                mapping.details.name = device.name + ' (old name)';
+            }
+            db.AddInData.push(mapping);
+
+            const driver = db.User[1 + index % Math.max(1, seed.drivers)];
+            if (driver && driver.isDriver) {
+                db.DriverChange.push({
+                    id: 'dc' + pad(index + 1, 5),
+                    device: { id: device.id },
+                    driver: { id: driver.id },
+                    dateTime: new Date(baseDate).toISOString(),
+                    type: 'Driver'
+                });
+            }
+        });
+
+        activeDevices.slice(seed.mapped, seed.mapped + seed.placeholders).forEach(device => {
+            db.AddInData.push(createMapping(nextAddInDataId(), device, {
+                token: 'TOKEN',
+                device: 'DeviceID',
+                driver: 'DriverID'
+            }, new Date(baseDate).toISOString()));
+        });
+
+        // Credentials left behind on retired trucks and on devices that were deleted
+        retiredDevices.slice(0, seed.orphaned).forEach((device, index) => {
+            db.AddInData.push(createMapping(nextAddInDataId(), device, {
+                token: 'rk_retired_' + pad(index + 1, 4),
+                device: String(7000 + index),
+                driver: String(8000 + index)
+            }, new Date(baseDate).toISOString()));
+        });
+        for (let i = 1; i <= seed.orphaned; i++) {
+            db.AddInData.push(createMapping(nextAddInDataId(), {
+                id: 'bDeleted' + i,
+                name: 'Deleted Truck ' + i,
+                serialNumber: 'G9DEL' + pad(i, 3)
+            }, {
+                token: 'rk_orphan_' + pad(i, 4),
+                device: String(6000 + i),
+                driver: String(6500 + i)
+            }, new Date(baseDate).toISOString()));
+        }
+
+        return db;
+    }
+
+    /**
+     * Build a Ruckit roster CSV for trucks that have no credentials yet, as a customer might send it.
+     * Rows match on serial number, VIN, plate, exact name or a misspelled name in turn, and the roster
+     * also lists a truck that is already mapped and one that isn't in Geotab at all.
+     */
+    function createRoster(db, count = 10) {
+        const mapped = new Map(db.AddInData
+            .filter(record => record.details && record.details.type === 'ri-device' && record.details['ri-token'] !== 'TOKEN')
+            .map(record => [record.details['gt-device'], record.details]));
+        const unmapped = db.Device.filter(device => device.activeTo === ACTIVE_TO && !mapped.has(device.id));
+        const csvField = value => /[",\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+
+        const rows = unmapped.slice(0, count).map((device, index) => {
+            const unit = String(Number(device.name.replace(/\D/g, '')));
+            const row = { device: String(20000 + index), name: '', vin: '', plate: '', serial: '' };
+            switch (index % 5) {
+                case 0: row.serial = device.serialNumber; row.name = 'Unit ' + unit; break;
+                case 1: row.vin = device.vehicleIdentificationNumber; row.name = 'Unit ' + unit; break;
+                case 2: row.plate = device.licensePlate.replace('-', ' '); row.name = 'Unit ' + unit; break;
+                case 3: row.name = 'TRUCK-' + unit; break;
+                default: row.name = 'Truk ' + unit;
+            }
+            return row;
+        });
+
+        const mappedDetails = mapped.values().next().value;
+        if (mappedDetails) {
+            rows.push({ device: mappedDetails['ri-device'], name: mappedDetails.name, vin: '', plate: '', serial: '' });
+        }
+        rows.push({ device: '29999', name: 'Spare Loader 999', vin: '', plate: '', serial: '' });
+
+        const columns = ['device', 'name', 'vin', 'plate', 'serial'];
+        return ['Ruckit Device ID,Truck Name,VIN,License Plate,Serial Number']
+            .concat(rows.map(row => columns.map(column => csvField(row[column])).join(',')))
+            .join('\n') + '\n';
+    }
+
+    /**
+     * Check an AddInData record against a simple whereClause such as 'type = "ri-device"'
+     */
+    function matchesWhereClause(record, whereClause) {
+        const conditions = whereClause.split(/\s+and\s+/i);
+        return conditions.every(condition => {
+            const match = condition.match(/^\s*([\w-]+)\s*=\s*"([^"]*)"\s*$/);
+            if (!match) {
+                throw createApiError(`Unsupported whereClause: ${whereClause}`, 'ArgumentException');
+            }
+            return record.details && String(record.details[match[1]]) === match[2];
+        });
+    }
+
+    /**
+     * Apply the search parameters the add-in uses to a list of entities
+     */
+    function filterBySearch(typeName, entities, search) {
+        if (!search) return entities;
+
+        return entities.filter(entity => {
+            if (search.id && entity.id !== search.id) return false;
+            if (search.name && entity.name !== search.name) return false;
+            if (search.isDriver !== undefined && !!entity.isDriver !== search.isDriver) return false;
+            if (search.addInId && entity.addInId !== search.addInId) return false;
+            if (search.deviceSearch && (!entity.device || entity.device.id !== search.deviceSearch.id)) return false;
+            if (search.whereClause && typeName === 'AddInData' && !matchesWhereClause(entity, search.whereClause)) return false;
+            return true;
+        });
+    }
+
+    /**
+     * Create an API object with call, multiCall and getSession backed by an in-memory database.
+     * options.latency delays every response (ms); options.session overrides the session.
+     */
+    function createApi(db = createDatabase(), options = {}) {
+        const session = { userName: 'demo@example.com', database: 'demo_fleet', sessionId: 'mock-session', ...options.session };
+        const server = options.server || 'my.geotab.com';
+        const latency = options.latency === undefined ? 50 : options.latency;
+        const failures = [];
+        const feedVersions = {};
+        let entitySequence = 0;
+        let feedSequence = 0;
+
+        /**
+         * Throw if an injected failure matches this call
+         */
+        function checkFailures(method, params) {
+            const index = failures.findIndex(failure =>
+                (!failure.method || failure.method === method) &&
+                (!failure.typeName || failure.typeName === params.typeName) &&
+                (!failure.when || failure.when(method, params))
+            );
+            if (index === -1) return;
+
+            const failure = failures[index];
+            failure.times--;
+            if (failure.times <= 0) {
+                failures.splice(index, 1);
+            }
+            throw createApiError(failure.message, failure.name);
+        }
+
+        /**
+         * Find the stored collection for a type, rejecting types the mock doesn't know
+         */
+        function getCollection(typeName) {
+            if (!db[typeName]) {
+                throw createApiError(`Unknown typeName: ${typeName}`, 'ArgumentException');
+            }
+            return db[typeName];
+        }
+
+        /**
+         * Give every new or changed entity of a type the next feed version. Snapshots are compared
+         * rather than hooking Add and Set, so edits made straight to the database show up too.
+         */
+        function updateFeedVersions(typeName, collection) {
+            const versions = feedVersions[typeName] || (feedVersions[typeName] = new Map());
+            collection.forEach(entity => {
+                const snapshot = JSON.stringify(entity);
+                const known = versions.get(entity.id);
+                if (!known || known.snapshot !== snapshot) {
+                    versions.set(entity.id, { snapshot, version: ++feedSequence });
+                }
+            });
+            return versions;
+        }
+
+        /**
+         * Run one API method against the database
+         */
+        function execute(method, params = {}) {
+            api.calls.push({ method, typeName: params.typeName, params: clone(params) });
+            checkFailures(method, params);
+
+            const collection = getCollection(params.typeName);
+
+            if (method === 'Get') {
+                let results = filterBySearch(params.typeName, collection, params.search);
+                if (params.sort) {
+                    results = [...results].sort((a, b) => a.id < b.id ? -1 : a.id > b.id ? 1 : 0);
+                    if (params.sort.offset) {
+                        results = results.filter(entity => entity.id > params.sort.offset);
+                    }
+                }
+                if (params.resultsLimit) {
+                    results = results.slice(0, params.resultsLimit);
+                }
+                return clone(results);
+            }
+
+            // Like the real feed, removed entities are not reported
+            if (method === 'GetFeed') {
+                const versions = updateFeedVersions(params.typeName, collection);
+                let entries = filterBySearch(params.typeName, collection, params.search)
+                    .map(entity => ({ entity, version: versions.get(entity.id).version }))
+                    .sort((a, b) => a.version - b.version);
+                // Without fromVersion the feed starts at the oldest data it holds
+                const fromVersion = params.fromVersion ? parseInt(params.fromVersion, 16) : 0;
+                entries = entries.filter(entry => entry.version > fromVersion);
+                const page = params.resultsLimit ? entries.slice(0, params.resultsLimit) : entries;
+                const toVersion = page.length < entries.length ? page[page.length - 1].version : feedSequence;
+                return {
+                    data: clone(page.map(entry => entry.entity)),
+                    toVersion: pad(toVersion.toString(16), 16)
+                };
+            }
+
+            if (method === 'Add') {
+                if (!params.entity) {
+                    throw createApiError('Add requires an entity', 'ArgumentException');
+                }
+                const entity = { ...clone(params.entity), id: 'mock' + pad(++entitySequence, 6), version: '1' };
+                collection.push(entity);
+                return entity.id;
+            }
+
+            if (method === 'Set' || method === 'Remove') {
+                const index = params.entity ? collection.findIndex(entity => entity.id === params.entity.id) : -1;
+                if (index === -1) {
+                    throw createApiError(`${params.typeName} not found`, 'EntityNotFoundException');
+                }
+                if (method === 'Set') {
+                    collection[index] = { ...clone(params.entity), version: String(Number(collection[index].version || 0) + 1) };
+                } else {
+                    collection.splice(index, 1);
+                }
+                return null;
+            }
+
+            throw createApiError(`Unsupported method: ${method}`, 'MissingMethodException');
+        }
+
+        /**
+         * Deliver a result asynchronously, like the real API
+         */
+        function respond(work, success, error) {
+            setTimeout(() => {
+                let result;
+                try {
+                    result = work();
+                } catch (failure) {
+                    if (error) error(failure);
+                    return;
+                }
+                if (success) success(result);
+            }, latency);
+        }
+
+        const api = {
+            calls: [],
+
+            call(method, params, success, error) {
+                respond(() => execute(method, params), success, error);
+            },
+
+            // Like the real multiCall, one failing call fails the whole batch and nothing after it runs
+            multiCall(calls, success, error) {
+                respond(() => calls.map(([method, params]) => execute(method, params)), success, error);
+            },
+
+            getSession(callback) {
+                setTimeout(() => callback({ ...session }, server), latency);
+            },
+
+            /**
+             * Make the next matching call(s) fail. Any of method, typeName and when(method, params) may be omitted.
+             */
+            failNext({ method, typeName, when, message = 'Injected failure', name, times = 1 } = {}) {
+                failures.push({ method, typeName, when, message, name, times });
+            },
+
+            clearFailures() {
+                failures.length = 0;
+            }
+        };
+
+        return api;
+    }
+
+    /**
+     * Create the page state object MyGeotab passes to initialize and focus
+     */
+    function createState(options = {}) {
+        let pageState = { ...options.pageState };
+        let groupFilter = options.groupFilter || [{ id: 'GroupCompanyId' }];
+
+        return {
+            language: options.language || 'en',
+            translate() {},
+            getGroupFilter() {
+                return groupFilter;
+            },
+            setGroupFilter(groups) {
+                groupFilter = groups;
+            },
+            getState() {
+                return { ...pageState };
+            },
+            setState(newState) {
+                pageState = { ...newState };
+                if (options.onStateChange) options.onStateChange(pageState);
+            },
+            gotoPage(page, args) {
+                if (options.onNavigate) options.onNavigate(page, args);
+            }
+        };
+    }
+
+    const loadedScripts = new Map();
+
+    /**
+     * Load a script and wait for it to run. Each script runs once per page, however often boot is called.
+     */
+    function loadScript(src) {
+        if (!loadedScripts.has(src)) {
+            loadedScripts.set(src, new Promise((resolve, reject) => {
+                const script = document.createElement('script');
+                script.src = src;
+                script.onload = resolve;
+                script.onerror = () => reject(new Error(`Could not load ${src}`));
+                document.body.appendChild(script);
+            }));
+        }
+        return loadedScripts.get(src);
+    }
+
+    /**
+     * Load index.html into the current page, run addin.js against the mock and start the add-in.
+     * The page must be served over HTTP so index.html can be fetched. Tests call this once per test
+     * with their own container, blurring the add-in and removing the container afterwards.
+     */
+    async function boot(options = {}) {
+        const basePath = options.basePath || '';
+        const response = await fetch(basePath + 'index.html');
+        const page = new DOMParser().parseFromString(await response.text(), 'text/html');
+
+        page.querySelectorAll('link[rel="stylesheet"]').forEach(link => {
+            const href = /^https?:/.test(link.getAttribute('href')) ? link.getAttribute('href') : basePath + link.getAttribute('href');
+            if (document.head.querySelector(`link[rel="stylesheet"][href="${href}"]`)) return;
+            const copy = document.createElement('link');
+            copy.rel = 'stylesheet';
+            copy.href = href;
+            document.head.appendChild(copy);
+        });
+
+        const target = options.container || document.body;
+        target.appendChild(document.importNode(page.getElementById('ruckitAssets'), true));
+
+        // Bootstrap drives the export dropdown; the MyGeotab API script isn't needed offline
+        for (const script of page.querySelectorAll('script[src]')) {
+            const src = script.getAttribute('src');
+            if (/bootstrap/.test(src)) {
+                await loadScript(src).catch(error => console.warn('Continuing without Bootstrap:', error.message));
+            }
+        }
+
+        root.geotab = root.geotab || { addin: {} };
+        await loadScript(basePath + 'addin.js');
+
+        const db = options.db || createDatabase(options.scenario || 'small');
+        const api = createApi(db, options.api);
+        const state = createState(options.state);
+        const addin = root.geotab.addin.ruckitAssets();
+
+        await new Promise(resolve => addin.initialize(api, state, resolve));
+        addin.focus(api, state);
+
+        return { db, api, state, addin };
+    }
+
+    const MockGeotab = {
+        ADDIN_ID,
+        SCENARIOS,
+        createDatabase,
+        createApi,
+        createState,
+        createRoster,
+        boot
+    };
+
+    if (typeof module === 'object' && module.exports) {
+        module.exports = MockGeotab;
+    } else {
+        root.MockGeotab = MockGeotab;
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
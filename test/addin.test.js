@@ -0,0 +1,619 @@
+/**
+ * Add-in tests, run by test/index.html. Each test boots the add-in against a fresh in-memory
+ * MyGeotab (mock/mock-geotab.js) and drives it through the page the way a user would.
+ *
+ * The small scenario seeds 12 active trucks (b00001-b00012) and 2 retired ones (b00013, b00014).
+ * b00001-b00005 have credentials, and b00001's stored name is out of date. b00006 and b00007
+ * hold placeholders only. b00013 and a deleted device still have credentials left behind.
+ */
+(function () {
+    'use strict';
+
+    const tests = [];
+    let booted = null;
+
+    /**
+     * Register a test
+     */
+    function test(name, run) {
+        tests.push({ name, run });
+    }
+
+    /**
+     * Fail the current test unless condition is truthy
+     */
+    function assert(condition, message) {
+        if (!condition) {
+            throw new Error(message);
+        }
+    }
+
+    /**
+     * Fail the current test unless actual and expected have the same JSON
+     */
+    function assertEqual(actual, expected, message) {
+        if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+            throw new Error(`${message}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+        }
+    }
+
+    /**
+     * Wait until check() returns something truthy, and return it
+     */
+    async function waitFor(check, description, timeout = 5000) {
+        const started = Date.now();
+        while (Date.now() - started < timeout) {
+            const result = check();
+            if (result) return result;
+            await new Promise(resolve => setTimeout(resolve, 20));
+        }
+        throw new Error(`Timed out waiting for ${description}`);
+    }
+
+    /**
+     * Get the notifications shown so far as { type, text }
+     */
+    function getAlerts() {
+        return Array.from(document.querySelectorAll('#notificationContainer .notification')).map(notification => ({
+            type: (notification.className.match(/notification-(\w+)/) || [])[1],
+            text: notification.querySelector('.notification-message').textContent
+        }));
+    }
+
+    /**
+     * Wait for a notification of the given type whose text matches pattern
+     */
+    function waitForAlert(type, pattern) {
+        return waitFor(
+            () => getAlerts().find(alert => alert.type === type && pattern.test(alert.text)),
+            `a ${type} notification matching ${pattern}`
+        );
+    }
+
+    /**
+     * Get the device IDs of the rows in a table body
+     */
+    function getRowIds(tableBodyId) {
+        return Array.from(document.querySelectorAll(`#${tableBodyId} tr[data-device-id]`))
+            .map(row => row.dataset.deviceId);
+    }
+
+    /**
+     * Click the element for a data-action, optionally for one device
+     */
+    function clickAction(action, deviceId) {
+        const selector = deviceId
+            ? `[data-action="${action}"][data-device-id="${deviceId}"]`
+            : `[data-action="${action}"]`;
+        const element = document.querySelector(selector);
+        assert(element, `No ${selector} to click`);
+        element.click();
+    }
+
+    /**
+     * Get the stored Ruckit mapping for a device
+     */
+    function findMapping(db, deviceId) {
+        return db.AddInData.find(record => record.details.type === 'ri-device' && record.details['gt-device'] === deviceId);
+    }
+
+    /**
+     * Boot the add-in in a fresh container and wait for the first load
+     */
+    async function bootAddin(db = MockGeotab.createDatabase('small')) {
+        const container = document.createElement('div');
+        document.getElementById('testArea').appendChild(container);
+
+        const env = await MockGeotab.boot({ basePath: '../', container, db, api: { latency: 0 } });
+        booted = { ...env, container };
+        await waitForAlert('success', /^Loaded /);
+        return booted;
+    }
+
+    /**
+     * Stop the add-in booted by the last test and remove its page
+     */
+    function cleanup() {
+        if (!booted) return;
+        booted.addin.blur();
+        booted.container.remove();
+        booted = null;
+    }
+
+    /**
+     * Refresh the add-in and wait for the load to finish, successfully or not
+     */
+    async function refresh() {
+        const before = getAlerts().length;
+        clickAction('refresh');
+        await waitFor(
+            () => getAlerts().slice(before).some(alert => /^(Loaded |Error loading)/.test(alert.text)),
+            'the refresh to finish'
+        );
+    }
+
+    /**
+     * Open the credential form for a device, fill it in and save it
+     */
+    async function saveCredentialsThroughForm(deviceId, values) {
+        clickAction('show-form', deviceId);
+        await waitFor(() => document.getElementById(`token-${deviceId}`), 'the credential form');
+
+        ['token', 'device', 'driver'].forEach(field => {
+            document.getElementById(`${field}-${deviceId}`).value = values[field];
+        });
+
+        const before = getAlerts().length;
+        clickAction('save-credentials', deviceId);
+        return waitFor(() => getAlerts().slice(before).find(alert => alert.type !== 'info'), 'the save to finish');
+    }
+
+    /**
+     * Run an export and return the text of the file it downloads
+     */
+    async function captureDownload(startExport) {
+        const originalCreate = URL.createObjectURL;
+        const originalRevoke = URL.revokeObjectURL;
+        let blob = null;
+        let revoked = false;
+        URL.createObjectURL = value => {
+            blob = value;
+            return 'blob:test-download';
+        };
+        URL.revokeObjectURL = () => {
+            revoked = true;
+        };
+
+        try {
+            startExport();
+            await waitFor(() => blob && revoked, 'the download');
+        } finally {
+            URL.createObjectURL = originalCreate;
+            URL.revokeObjectURL = originalRevoke;
+        }
+
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsText(blob);
+        });
+    }
+
+    /**
+     * Pick a file with the given text in the import file input and wait for the preview
+     */
+    async function importFile(name, text) {
+        const input = document.getElementById('importFileInput');
+        Object.defineProperty(input, 'files', { value: [{ name, text: async () => text }], configurable: true });
+        input.dispatchEvent(new Event('change', { bubbles: true }));
+        await waitFor(() => document.getElementById('importPanel').style.display === 'block', 'the import preview');
+    }
+
+    /**
+     * Get the import preview rows as { asset, status, message }
+     */
+    function getImportPreview() {
+        return Array.from(document.querySelectorAll('#importPreviewTableBody tr')).map(row => {
+            const cells = row.querySelectorAll('td');
+            return {
+                asset: cells[1].textContent,
+                status: (cells[3].querySelector('.import-status').className.match(/import-status-(\w+)/) || [])[1],
+                message: cells[4].textContent
+            };
+        });
+    }
+
+    /**
+     * Run action with confirm() answering yes, and return the questions it asked
+     */
+    async function acceptingConfirms(action) {
+        const originalConfirm = window.confirm;
+        const questions = [];
+        window.confirm = question => {
+            questions.push(question);
+            return true;
+        };
+
+        try {
+            await action();
+        } finally {
+            window.confirm = originalConfirm;
+        }
+        return questions;
+    }
+
+    /**
+     * Open the cleanup panel and wait for its candidates
+     */
+    async function openCleanup() {
+        clickAction('show-cleanup');
+        await waitFor(() => document.getElementById('cleanupPanel').style.display === 'block', 'the cleanup panel');
+    }
+
+    /**
+     * Get the cleanup table row for a device
+     */
+    function getCleanupRow(deviceId) {
+        const row = Array.from(document.querySelectorAll('#cleanupTableBody tr'))
+            .find(candidate => candidate.cells[2] && candidate.cells[2].textContent === deviceId);
+        assert(row, `${deviceId} is not a cleanup candidate`);
+        return row;
+    }
+
+    test('load shows active trucks and hides retired ones', async () => {
+        const { db } = await bootAddin();
+
+        const allIds = getRowIds('allAssetsTableBody');
+        const ruckitIds = getRowIds('ruckitAssetsTableBody');
+        assertEqual(ruckitIds.slice().sort(), ['b00001', 'b00002', 'b00003', 'b00004', 'b00005'], 'Ruckit table');
+        assertEqual(allIds.slice().sort(), ['b00006', 'b00007', 'b00008', 'b00009', 'b00010', 'b00011', 'b00012'], 'All assets table');
+
+        const text = document.getElementById('ruckitAssets').textContent;
+        assert(!/Retired Truck/.test(text), 'Retired trucks are listed');
+        assert(findMapping(db, 'b00013'), 'The load removed the retired truck\'s mapping');
+        await waitForAlert('success', /2 retired assets hidden/);
+    });
+
+    test('load treats placeholder-only mappings as missing credentials', async () => {
+        await bootAddin();
+
+        assert(!getRowIds('ruckitAssetsTableBody').includes('b00006'), 'Placeholder mapping is in the Ruckit table');
+        const row = document.querySelector('#allAssetsTableBody tr[data-device-id="b00006"]');
+        assert(row && row.querySelector('[data-action="show-form"]'), 'Placeholder truck has no Add Credentials button');
+        assert(!/TOKEN|DeviceID|DriverID/.test(document.getElementById('ruckitAssetsTableBody').textContent), 'Placeholder values are shown');
+    });
+
+    test('load syncs stored names with Geotab and writes an audit record', async () => {
+        const { db } = await bootAddin();
+
+        assertEqual(findMapping(db, 'b00001').details.name, 'Truck 0001', 'Stored name');
+        const audits = db.AddInData.filter(record => record.details.type === 'ri-audit' && record.details['gt-device'] === 'b00001');
+        assertEqual(audits.map(record => record.details.action), ['rename'], 'Audit actions');
+        assertEqual(audits[0].details.before.name, 'Truck 0001 (old name)', 'Audit before name');
+        await waitForAlert('success', /1 name updated/);
+    });
+
+    test('load syncs names on placeholder mappings but not on retired trucks', async () => {
+        const db = MockGeotab.createDatabase('small');
+        db.Device.find(device => device.id === 'b00013').name = 'Retired Truck 0013 (sold)';
+        db.Device.find(device => device.id === 'b00006').name = 'Truck 0006 (spare)';
+        const { db: loadedDb } = await bootAddin(db);
+
+        assertEqual(findMapping(loadedDb, 'b00013').details.name, 'Retired Truck 0013', 'Retired truck\'s stored name');
+        // Placeholder mappings follow renames like any other, so the form shows the right asset
+        assertEqual(findMapping(loadedDb, 'b00006').details.name, 'Truck 0006 (spare)', 'Placeholder stored name');
+    });
+
+    test('a failed rename is reported and the load still finishes', async () => {
+        const { db, api } = await bootAddin();
+
+        db.Device.find(device => device.id === 'b00002').name = 'Truck 0002 (new)';
+        // Once for the batch and once for the single retry
+        api.failNext({ method: 'Set', typeName: 'AddInData', times: 2 });
+        await refresh();
+
+        await waitForAlert('warning', /Could not update 1 asset name/);
+        assertEqual(findMapping(db, 'b00002').details.name, 'Truck 0002', 'Stored name after the failed rename');
+        assert(getRowIds('ruckitAssetsTableBody').includes('b00002'), 'Truck disappeared from the Ruckit table');
+    });
+
+    test('a failed group load still loads the trucks', async () => {
+        const { api } = await bootAddin();
+
+        api.failNext({ method: 'Get', typeName: 'Group', message: 'Group service unavailable' });
+        const before = getAlerts().length;
+        await refresh();
+
+        assert(getAlerts().slice(before).some(alert => alert.type === 'success' && /^Loaded 12 active assets/.test(alert.text)), 'The refresh did not load the trucks');
+        assertEqual(getRowIds('ruckitAssetsTableBody').length, 5, 'Ruckit rows');
+        assertEqual(getRowIds('allAssetsTableBody').length, 7, 'All assets rows');
+    });
+
+    test('cleanup lists nothing as orphaned when the devices failed to load', async () => {
+        const { db, api } = await bootAddin();
+
+        api.failNext({ method: 'Get', typeName: 'Device', message: 'Device service unavailable' });
+        await refresh();
+        const mappingCount = db.AddInData.length;
+
+        clickAction('show-cleanup');
+        await waitForAlert('danger', /Assets could not be loaded/);
+        assertEqual(document.querySelectorAll('#cleanupTableBody .cleanup-select').length, 0, 'Cleanup candidates');
+        assertEqual(document.getElementById('cleanupPanel').style.display, 'none', 'Cleanup panel display');
+        assertEqual(db.AddInData.length, mappingCount, 'AddInData records');
+    });
+
+    test('cleanup removes the selected mappings and audits each one', async () => {
+        const { db } = await bootAddin();
+        const placeholder = JSON.stringify(findMapping(db, 'b00006'));
+
+        await openCleanup();
+        ['b00013', 'bDeleted1'].forEach(deviceId => {
+            const checkbox = getCleanupRow(deviceId).querySelector('.cleanup-select');
+            checkbox.checked = true;
+            checkbox.dispatchEvent(new Event('change', { bubbles: true }));
+        });
+        assert(!document.getElementById('cleanupRemoveBtn').disabled, 'Remove is disabled');
+
+        const questions = await acceptingConfirms(async () => {
+            clickAction('remove-selected');
+            await waitForAlert('success', /^Removed 2 mappings/);
+        });
+        assertEqual(questions.length, 1, 'Confirmations asked');
+        assert(/Orphaned: 1\nRetired: 1\n/.test(questions[0]), `Confirmation doesn't break down the reasons: ${questions[0]}`);
+
+        assert(!findMapping(db, 'b00013') && !findMapping(db, 'bDeleted1'), 'Selected mappings are still stored');
+        assertEqual(JSON.stringify(findMapping(db, 'b00006')), placeholder, 'Unselected placeholder mapping');
+        const audits = db.AddInData.filter(record => record.details.type === 'ri-audit' && record.details.action === 'remove');
+        assertEqual(audits.map(record => record.details['gt-device']).sort(), ['b00013', 'bDeleted1'], 'Removal audit records');
+        assertEqual(audits[0].details.after, null, 'Audit after');
+
+        // The panel stays open with what is left
+        await waitFor(() => document.querySelectorAll('#cleanupTableBody .cleanup-select').length === 2, 'the cleanup list to refresh');
+        assertEqual(Array.from(document.querySelectorAll('#cleanupTableBody tr')).map(row => row.cells[2].textContent).sort(), ['b00006', 'b00007'], 'Cleanup candidates left');
+    });
+
+    test('history shows the newest changes by date, whatever the record ids', async () => {
+        const db = MockGeotab.createDatabase('small');
+        // Ids are shuffled against the dates, so neither id order picks the newest records
+        for (let i = 0; i < 60; i++) {
+            db.AddInData.push({
+                id: 'audit' + String(i * 37 % 60 + 1).padStart(3, '0'),
+                version: '1',
+                addInId: MockGeotab.ADDIN_ID,
+                details: {
+                    type: 'ri-audit',
+                    'gt-device': 'b00002',
+                    action: 'update',
+                    note: `Change ${i}`,
+                    date: new Date(Date.UTC(2025, 0, 1 + i)).toISOString()
+                }
+            });
+        }
+        db.AddInData.push({
+            id: 'audit000',
+            version: '1',
+            addInId: MockGeotab.ADDIN_ID,
+            details: { type: 'ri-audit', 'gt-device': 'b00003', action: 'update', note: 'Other truck', date: new Date().toISOString() }
+        });
+        await bootAddin(db);
+
+        clickAction('toggle-history', 'b00002');
+        const entries = await waitFor(() => {
+            const found = document.querySelectorAll('#history-row-b00002 .audit-entry');
+            return found.length > 0 && found;
+        }, 'the history entries');
+        const notes = Array.from(entries).map(entry => entry.querySelector('.audit-note').textContent);
+        assertEqual(notes.length, 50, 'History entries');
+        assertEqual([notes[0], notes[49]], ['Change 59', 'Change 10'], 'Newest and oldest entries shown');
+        assert(document.querySelector('#history-row-b00002 .audit-history-more'), 'No note that older changes are left out');
+    });
+
+    test('re-importing a masked export rejects every row and changes nothing', async () => {
+        const { db } = await bootAddin();
+        const before = JSON.stringify(db.AddInData);
+
+        assert(document.getElementById('exportMaskTokens').checked, 'Tokens are not masked by default');
+        const csv = await captureDownload(() => clickAction('export'));
+        assert(csv.includes('•'), 'The export has no masked tokens');
+
+        await importFile('export.csv', csv);
+        const rows = getImportPreview().filter(row => /^Truck 000[1-5]$/.test(row.asset));
+        assertEqual(rows.length, 5, 'Preview rows for the mapped trucks');
+        rows.forEach(row => {
+            assertEqual(row.status, 'conflict', `${row.asset} status`);
+            assert(/masked/.test(row.message), `${row.asset} message: ${row.message}`);
+        });
+        assert(document.getElementById('importApplyBtn').disabled, 'Apply is enabled');
+        assertEqual(JSON.stringify(db.AddInData), before, 'AddInData records');
+    });
+
+    test('an unmasked CSV export imports back without changing any credentials', async () => {
+        const db = MockGeotab.createDatabase('small');
+        // A spreadsheet would run this as a formula, so the export escapes it
+        findMapping(db, 'b00002').details['ri-driver'] = '-9001';
+        await bootAddin(db);
+        const credentials = () => ['b00001', 'b00002', 'b00003', 'b00004', 'b00005'].map(deviceId => {
+            const details = findMapping(db, deviceId).details;
+            return [details['ri-token'], details['ri-device'], details['ri-driver']];
+        });
+        const before = credentials();
+
+        const maskTokens = document.getElementById('exportMaskTokens');
+        maskTokens.checked = false;
+        maskTokens.dispatchEvent(new Event('change', { bubbles: true }));
+        const csv = await captureDownload(() => clickAction('export'));
+        assert(csv.includes("'-9001"), 'The formula-like driver ID is not escaped');
+        assert(csv.includes('rk_demo_000003'), 'The export has masked tokens');
+
+        await importFile('export.csv', csv);
+        const rows = getImportPreview().filter(row => /^Truck 000[1-5]$/.test(row.asset));
+        assertEqual(rows.map(row => row.status), ['update', 'update', 'update', 'update', 'update'], 'Preview statuses');
+
+        clickAction('apply-import');
+        await waitForAlert('success', /^Imported 5 mappings/);
+        assertEqual(credentials(), before, 'Stored credentials');
+        assertEqual(db.AddInData.filter(record => record.details.type === 'ri-audit' && record.details.action === 'import').length, 5, 'Import audit records');
+    });
+
+    test('coverage counts only verified credentials and rolls groups up to their parents', async () => {
+        await bootAddin();
+
+        const dashboard = document.getElementById('coverageDashboard');
+        const headline = dashboard.querySelector('.coverage-figure');
+        assertEqual(headline.querySelector('.coverage-figure-value').textContent, '0%', 'Valid percentage before verifying');
+        assert(/5 more have credentials not verified yet/.test(headline.textContent), `Unverified count: ${headline.textContent}`);
+
+        // Trucks sit in North Yard, North Haulers (under North Yard) and South Yard in turn
+        const groupCounts = {};
+        dashboard.querySelectorAll('.coverage-group').forEach(group => {
+            groupCounts[group.querySelector('.coverage-group-name').textContent] = group.querySelector('.coverage-group-count').textContent;
+        });
+        assertEqual(groupCounts, { 'North Haulers': '0% (0/4)', 'North Yard': '0% (0/8)', 'South Yard': '0% (0/4)' }, 'Group counts');
+    });
+
+    test('bulk export downloads the selected assets and reports each one', async () => {
+        await bootAddin();
+
+        ['b00002', 'b00004'].forEach(deviceId => clickAction('select-row', deviceId));
+        const json = await captureDownload(() => document.querySelector('[data-action="bulk-export"][data-format="json"]').click());
+
+        assertEqual(JSON.parse(json).map(record => record['gt-device']).sort(), ['b00002', 'b00004'], 'Exported assets');
+        await waitForAlert('success', /^Export: 2 of 2 assets succeeded, 0 failed/);
+        assertEqual(document.getElementById('bulkResultsPanel').style.display, 'block', 'Results panel display');
+        assertEqual(document.querySelectorAll('#bulkResultsTableBody tr').length, 2, 'Result rows');
+    });
+
+    test('load primes the feeds by reading forward from the oldest data to an empty batch', async () => {
+        // No stored names are out of date, so the load itself writes nothing to the feeds
+        const { db, api } = await bootAddin(MockGeotab.createDatabase({ renamed: 0 }));
+        const getFeed = params => new Promise((resolve, reject) => api.call('GetFeed', params, resolve, reject));
+
+        for (const typeName of ['Device', 'AddInData']) {
+            const calls = api.calls.filter(call => call.method === 'GetFeed' && call.typeName === typeName).map(call => call.params);
+            assert(calls.length >= 2, `${typeName} feed was read ${calls.length} time(s)`);
+            assert(!calls[0].fromVersion, `The first ${typeName} feed call has a fromVersion`);
+
+            // The version the last call started from is where polling picks up
+            const primed = calls[calls.length - 1];
+            assertEqual((await getFeed(primed)).data.length, 0, `${typeName} changes since the primed version`);
+        }
+
+        const primed = api.calls.filter(call => call.method === 'GetFeed' && call.typeName === 'Device').pop().params;
+        db.Device.find(device => device.id === 'b00003').name = 'Truck 0003 (renamed)';
+        assertEqual((await getFeed(primed)).data.map(device => device.id), ['b00003'], 'Device changes after a rename');
+    });
+
+    test('saving rejects a Ruckit device ID another truck uses', async () => {
+        const { db } = await bootAddin();
+
+        const alert = await saveCredentialsThroughForm('b00008', { token: 'rk_test_000001', device: '5000', driver: '9999' });
+        assertEqual(alert.type, 'danger', 'Alert type');
+        assert(/Truck 0001/.test(document.getElementById('device-error-b00008').textContent), 'Device field error names the other truck');
+        assert(!findMapping(db, 'b00008'), 'Credentials were saved');
+    });
+
+    test('saving rejects a token another truck uses', async () => {
+        const { db } = await bootAddin();
+
+        const alert = await saveCredentialsThroughForm('b00008', { token: 'rk_demo_000002', device: '5999', driver: '9999' });
+        assertEqual(alert.type, 'danger', 'Alert type');
+        assert(document.getElementById('token-error-b00008').textContent, 'No token field error');
+        assert(!findMapping(db, 'b00008'), 'Credentials were saved');
+    });
+
+    test('saving ignores values held by retired trucks\' mappings', async () => {
+        const { db } = await bootAddin();
+
+        // 7000 and 8000 belong to the retired truck b00013, which no longer counts
+        const alert = await saveCredentialsThroughForm('b00008', { token: 'rk_test_000003', device: '7000', driver: '8000' });
+        assertEqual(alert.type, 'success', 'Alert type');
+        assertEqual(findMapping(db, 'b00008').details['ri-device'], '7000', 'Stored Ruckit device ID');
+        await waitFor(() => getRowIds('ruckitAssetsTableBody').includes('b00008'), 'the truck to move to the Ruckit table');
+    });
+
+    test('a failed save is reported and writes nothing', async () => {
+        const { db, api } = await bootAddin();
+
+        api.failNext({ method: 'Add', typeName: 'AddInData', message: 'Quota exceeded' });
+        const recordCount = db.AddInData.length;
+        const alert = await saveCredentialsThroughForm('b00008', { token: 'rk_test_000004', device: '5998', driver: '9998' });
+
+        assertEqual(alert.type, 'danger', 'Alert type');
+        assert(/Quota exceeded/.test(alert.text), `Alert doesn't give the reason: ${alert.text}`);
+        assertEqual(db.AddInData.length, recordCount, 'AddInData records');
+        assert(document.getElementById('token-b00008'), 'The form closed');
+    });
+
+    test('a transfer whose source can\'t be cleared is rolled back', async () => {
+        const { db, api } = await bootAddin();
+        const before = JSON.stringify(db.AddInData);
+
+        await openCleanup();
+        getCleanupRow('b00013').querySelector('[data-action="show-transfer"]').click();
+        await waitFor(() => document.getElementById('transferPanel').style.display === 'block', 'the transfer panel');
+        document.getElementById('transferTargetInput').value = 'Truck 0008';
+
+        // The target's mapping is added first, then clearing the source fails
+        api.failNext({ method: 'Set', typeName: 'AddInData', message: 'Source is locked' });
+        await acceptingConfirms(async () => {
+            clickAction('apply-transfer');
+            await waitForAlert('danger', /^Transfer failed and was undone; nothing was changed \(Source is locked\)/);
+        });
+
+        assert(api.calls.some(call => call.method === 'Add' && call.typeName === 'AddInData'), 'The target was never written');
+        assert(!findMapping(db, 'b00008'), 'The target kept the credentials');
+        assertEqual(JSON.stringify(db.AddInData), before, 'AddInData records');
+        assertEqual(document.getElementById('transferPanel').style.display, 'block', 'Transfer panel display');
+    });
+
+    test('saving over another user\'s change shows the conflict and overwrites only when asked', async () => {
+        const { db, api } = await bootAddin();
+
+        clickAction('show-form', 'b00002');
+        await waitFor(() => document.getElementById('token-b00002'), 'the credential form');
+
+        // Another user changes the driver ID after the form was opened
+        const theirs = findMapping(db, 'b00002');
+        await new Promise((resolve, reject) => api.call('Set', {
+            typeName: 'AddInData',
+            entity: { ...theirs, details: { ...theirs.details, 'ri-driver': '9555' } }
+        }, resolve, reject));
+
+        const alert = await saveCredentialsThroughForm('b00002', { token: 'rk_demo_000002', device: '5001', driver: '9777' });
+        assertEqual(alert.type, 'warning', 'Alert type');
+        assert(/changed by another user/.test(alert.text), `Alert: ${alert.text}`);
+        const panel = document.getElementById('conflict-b00002');
+        assert(panel, 'No conflict panel');
+        assertEqual(panel.querySelectorAll('.conflict-differs').length, 1, 'Fields that differ');
+        assertEqual(findMapping(db, 'b00002').details['ri-driver'], '9555', 'Driver ID after the conflicting save');
+
+        const before = getAlerts().length;
+        panel.querySelector('[data-action="resolve-conflict"][data-mode="mine"]').click();
+        await waitFor(() => getAlerts().slice(before).some(entry => entry.type === 'success' && /^Credentials saved/.test(entry.text)), 'the overwrite to save');
+        assertEqual(findMapping(db, 'b00002').details['ri-driver'], '9777', 'Driver ID after overwriting');
+        assert(!document.getElementById('conflict-b00002'), 'The conflict panel is still shown');
+    });
+
+    /**
+     * Run the registered tests one after another, each in its own container
+     */
+    async function run() {
+        const grep = new URLSearchParams(window.location.search).get('grep') || '';
+        const resultsEl = document.getElementById('testResults');
+        const summaryEl = document.getElementById('testSummary');
+        let failed = 0;
+        let passed = 0;
+
+        for (const { name, run: runTest } of tests.filter(({ name }) => name.includes(grep))) {
+            const item = document.createElement('li');
+            item.textContent = name;
+            resultsEl.appendChild(item);
+
+            try {
+                await runTest();
+                item.className = 'test-pass';
+                passed++;
+                console.log(`PASS ${name}`);
+            } catch (error) {
+                item.className = 'test-fail';
+                const errorEl = document.createElement('div');
+                errorEl.className = 'test-error';
+                errorEl.textContent = error.stack || error.message;
+                item.appendChild(errorEl);
+                failed++;
+                console.error(`FAIL ${name}:`, error);
+            } finally {
+                cleanup();
+            }
+        }
+
+        const result = failed > 0 ? 'FAIL' : 'PASS';
+        summaryEl.textContent = `${passed} passed, ${failed} failed`;
+        document.title = `Ruckit Assets - Tests - ${result}`;
+        console.log(`${result}: ${passed} passed, ${failed} failed`);
+    }
+
+    run();
+})();